@@ -0,0 +1,83 @@
+/*
+ * Measures sg.Graph.removeNode. Run with: node --expose-gc benchmark/removeNode.js
+ * (the flag is optional, it makes the times steadier by collecting the garbage of
+ * building each graph before measuring)
+ *
+ * The first table keeps the degree of the removed nodes and grows the graph:
+ * the time of a removal should stay about the same. The second one keeps the
+ * graph and grows the degree: the time should grow with it.
+ */
+(function() {
+    "use strict";
+
+    var sg = require("../lib/simple-graph.js");
+
+    // A graph with a ring of `size` nodes, each connected to the next `degree / 2` ones,
+    // and some directed edges, so each node has about `degree` edges
+    function makeGraph(size, degree) {
+        var graph = new sg.Graph({ direction: sg.DIRECTION.MIXED });
+        var i, j;
+
+        graph.batch(function() {
+            for (i = 0; i < size; i++) {
+                graph.addNode(String(i));
+            }
+
+            for (i = 0; i < size; i++) {
+                for (j = 1; j <= degree / 2; j++) {
+                    graph.connect(String(i), String((i + j) % size), { directed: j % 2 === 0 });
+                }
+            }
+        });
+
+        return graph;
+    }
+
+    // The average time in milliseconds of removing `count` nodes spread over the graph
+    function measure(graph, count) {
+        var size = graph.nodes.size();
+        var ids = [];
+        for (var i = 0; i < count; i++) {
+            ids.push(String(Math.floor(i * size / count)));
+        }
+
+        if (typeof global.gc === "function") {
+            global.gc();
+        }
+
+        var start = process.hrtime();
+        ids.forEach(function(id) {
+            graph.removeNode(id);
+        });
+        var time = process.hrtime(start);
+
+        return (time[0] * 1e3 + time[1] / 1e6) / count;
+    }
+
+    function row(cells) {
+        console.log(cells.map(function(cell) {
+            return ("          " + cell).slice(-10);
+        }).join(""));
+    }
+
+    var REMOVED = 200;
+
+    // let the JIT compile the code first
+    measure(makeGraph(2000, 10), REMOVED);
+
+    console.log("Removing " + REMOVED + " nodes of degree 10 from larger and larger graphs:");
+    row(["nodes", "edges", "ms/node"]);
+    [2000, 5000, 10000, 20000].forEach(function(size) {
+        var graph = makeGraph(size, 10);
+        var edges = graph.edges.size();
+        row([size, edges, measure(graph, REMOVED).toFixed(4)]);
+    });
+
+    console.log("\nRemoving " + REMOVED + " nodes of a 2000 nodes graph, with more and more edges:");
+    row(["degree", "edges", "ms/node"]);
+    [4, 8, 16, 32, 64].forEach(function(degree) {
+        var graph = makeGraph(2000, degree);
+        var edges = graph.edges.size();
+        row([degree, edges, measure(graph, REMOVED).toFixed(4)]);
+    });
+}());
@@ -12,45 +12,52 @@
             return Object.prototype.toString.call(test) === "[object Object]";
         },
 
-        multiBagContains: function(bag, key) {
-            return typeof bag.dictionary.table[key] !== "undefined" &&
-                   !bag.dictionary.table[key].value.isEmpty();
+        multiBagValues: function(bag, key) {
+            var element = bag.dictionary.table[key];
+            return buckets.isUndefined(element) ? [] : element.value.toArray();
         },
 
-        multiBagRemove: function(bag, key) {
-            var element = bag.dictionary.table[key];
-            if (!buckets.isUndefined(element)) {
-                bag.nElements -= element.value.size();
-                delete bag.dictionary.table[key];
-                bag.dictionary.nElements--;
-                return true;
+        // buckets.MultiBag.remove keeps the empty set of a key, so the bags of
+        // a node's edges would keep growing with the nodes it was connected to
+        multiBagRemove: function(bag, element) {
+            if (!bag.remove(element)) {
+                return false;
+            }
+
+            var set = bag.dictionary.get(element);
+            if (set !== undefined && set.isEmpty()) {
+                bag.dictionary.remove(element);
             }
-            return false;
+
+            return true;
         },
 
-        multiBagContainsUndirectedEdge: function(bag, key) {
-            var element = bag.dictionary.table[key];
-            var ret = false;
-            if (!buckets.isUndefined(element)) {
-                element.value.forEach(function(edge) {
-                    if (edge._directed === false) {
-                        ret = true;
-                        return false;
-                    }
-                });
+        setOption: function(options, key, value) {
+            if (value === undefined) {
+                delete options[key];
+            } else {
+                options[key] = value;
             }
-            return ret;
         },
 
-        s4: function() {
-            return Math.floor((1 + Math.random()) * 0x10000)
-                       .toString(16)
-                       .substring(1);
+        clone: function(value) {
+            if (Array.isArray(value)) {
+                return value.map(util.clone);
+            }
+
+            if (util.isObject(value)) {
+                var copy = {};
+                Object.keys(value).forEach(function(key) {
+                    copy[key] = util.clone(value[key]);
+                });
+                return copy;
+            }
+
+            return value;
         },
 
-        guid: function() {
-            return util.s4() + util.s4() + '-' + util.s4() + '-' + util.s4() + '-' +
-                   util.s4() + '-' + util.s4() + util.s4() + util.s4();
+        isId: function(id) {
+            return typeof id === "string" && id !== "";
         }
     };
     
@@ -109,6 +116,24 @@
         }
     };
 
+    /**
+     * The events fired by sg.Graph.
+     * See {{#crossLink "sg.Graph/on"}}sg.Graph.on{{/crossLink}}
+     *
+     * @private
+     * @property EVENTS
+     * @type Array of String
+     */
+    var EVENTS = [
+        "nodeAdded",
+        "nodeRemoved",
+        "edgeAdded",
+        "edgeRemoved",
+        "directionChanged",
+        "optionsChanged",
+        "change"
+    ];
+
     /**
      * Represents a graph node
      * 
@@ -169,7 +194,22 @@
         this.edges = new buckets.MultiBag(function(e) {
             return e.node._id;
         }, function(e) {
-            return e.edge._guid;
+            return e.edge._id;
+        });
+
+        /**
+         * The connections of the directed edges whose target is this node.
+         * Directed edges are in the *edges* of their source only, so these are
+         * kept apart to find the incoming edges.
+         *
+         * @private
+         * @property _incoming
+         * @type buckets.MultiBag of EdgeConnection
+         */
+        this._incoming = new buckets.MultiBag(function(e) {
+            return e.node._id;
+        }, function(e) {
+            return e.edge._id;
         });
 
         /**
@@ -226,12 +266,12 @@
 
         if (edge instanceof Edge) {
             // remove both, because it can be a self-loop, and no error if not
-            this.edges.remove(edge._sourceConnection);
-            this.edges.remove(edge._targetConnection);
+            util.multiBagRemove(this.edges, edge._sourceConnection);
+            util.multiBagRemove(this.edges, edge._targetConnection);
         }
 
         if (edge instanceof EdgeConnection) {
-            this.edges.remove(edge);
+            util.multiBagRemove(this.edges, edge);
         }
     };
 
@@ -319,6 +359,49 @@
         return this._id;
     };
 
+    /**
+     * Getter/setter for a single property of the node's options.
+     * Unlike changing *options* directly, the setter fires the graph's
+     * *optionsChanged* event.
+     *
+     * @method option
+     * @param {String} key
+     * @param {Any} [value] the new value of the property.
+     *                      If it's passed and undefined, the property is removed.
+     * @return {Any|sg.Node}
+     *     If used as getter, returns the value of the property
+     *     If used as setter, reference to *this* node for method chaining
+     * @example
+     *     node.option("label", "My node");
+     *     console.log( node.option("label") ); // "My node"
+     */
+    Node.prototype.option = function(key, value) {
+        if (typeof key !== "string") {
+            throw "key should be a string.";
+        }
+
+        if (arguments.length < 2) {
+            return this.options[key];
+        }
+
+        var target = this;
+        var previous = this.options[key];
+        util.setOption(this.options, key, value);
+
+        if (this._graph !== undefined) {
+            this._graph._emit("optionsChanged", {
+                target: this,
+                key: key,
+                value: value,
+                previous: previous
+            }, function() {
+                util.setOption(target.options, key, previous);
+            });
+        }
+
+        return this;
+    };
+
     /**
      * Get an array containing all edges connected with the node.
      * Adding/removing elements from the array won't affect the graph.
@@ -330,11 +413,132 @@
         return this.edges.toArray();
     };
 
+    // The distinct nodes of the connections, in the order they come
+    function connectedNodes(connections) {
+        var seen = {};
+        return connections.filter(function(connection) {
+            var first = !seen.hasOwnProperty(connection.node._id);
+            seen[connection.node._id] = true;
+            return first;
+        }).map(function(connection) {
+            return connection.node;
+        });
+    }
+
     /**
-     * Private class. Represents an edge (e.g. connection between 2 nodes). 
-     * ***It shouldn't be instanciated***
+     * Get the edges leaving the node: the directed edges whose source it is
+     * and the undirected edges connected to it
+     *
+     * @method outEdges
+     * @return {Array of Edge}
+     */
+    Node.prototype.outEdges = function() {
+        return this.edges.toArray().map(function(connection) {
+            return connection.edge;
+        });
+    };
+
+    /**
+     * Get the edges entering the node: the directed edges whose target it is
+     * and the undirected edges connected to it
+     *
+     * @method inEdges
+     * @return {Array of Edge}
+     */
+    Node.prototype.inEdges = function() {
+        return this.edges.toArray().filter(function(connection) {
+            return !connection.edge._directed;
+        }).concat(this._incoming.toArray()).map(function(connection) {
+            return connection.edge;
+        });
+    };
+
+    /**
+     * Get the nodes connected to this one by an edge, in either direction.
+     * The node itself is one of them if it has a selfloop.
+     *
+     * @method neighbors
+     * @return {Array of sg.Node}
+     */
+    Node.prototype.neighbors = function() {
+        return connectedNodes(this.edges.toArray().concat(this._incoming.toArray()));
+    };
+
+    /**
+     * Get the nodes which the node's outgoing edges lead to
+     *
+     * **See also**: {{#crossLink "sg.Node/outEdges"}}sg.Node.outEdges{{/crossLink}}
+     *
+     * @method successors
+     * @return {Array of sg.Node}
+     */
+    Node.prototype.successors = function() {
+        return connectedNodes(this.edges.toArray());
+    };
+
+    /**
+     * Get the nodes which the node's incoming edges come from
+     *
+     * **See also**: {{#crossLink "sg.Node/inEdges"}}sg.Node.inEdges{{/crossLink}}
+     *
+     * @method predecessors
+     * @return {Array of sg.Node}
+     */
+    Node.prototype.predecessors = function() {
+        return connectedNodes(this.edges.toArray().filter(function(connection) {
+            return !connection.edge._directed;
+        }).concat(this._incoming.toArray()));
+    };
+
+    /**
+     * @method outDegree
+     * @return {Number} the number of the node's outgoing edges
+     */
+    Node.prototype.outDegree = function() {
+        return this.edges.size();
+    };
+
+    /**
+     * @method inDegree
+     * @return {Number} the number of the node's incoming edges
+     */
+    Node.prototype.inDegree = function() {
+        var undirected = this.edges.toArray().filter(function(connection) {
+            return !connection.edge._directed;
+        });
+
+        return undirected.length + this._incoming.size();
+    };
+
+    /**
+     * Get the number of the node's edges, where a selfloop counts twice,
+     * once for each of its ends
+     *
+     * @method degree
+     * @return {Number}
+     * @example
+     *     graph.connect("a", "a");
+     *     graph.connect("a", "b");
+     *     console.log( graph.getNode("a").degree() ); // 3
+     */
+    Node.prototype.degree = function() {
+        var node = this;
+        var loops = this.edges.toArray().filter(function(connection) {
+            return !connection.edge._directed && connection.node === node;
+        });
+
+        // an undirected selfloop has one connection, a directed one has two
+        // (the outgoing and the incoming ones)
+        return this.edges.size() + this._incoming.size() + loops.length;
+    };
+
+    /**
+     * Represents an edge (e.g. connection between 2 nodes).
+     * Edges are usually made by {{#crossLink "sg.Graph/connect"}}sg.Graph.connect{{/crossLink}},
+     * one made with the constructor is put in a graph with
+     * {{#crossLink "sg.Edge/addToGraph"}}addToGraph{{/crossLink}}.
      * 
-     * @class Edge
+     * @class sg.Edge
      * @constructor
      * @param {sg.Node} source Source node
      * @param {sg.Node} target Target node
@@ -343,6 +547,14 @@
      *                           (and/or any of your own):
      *     @param {Boolean} [options.directed=false] If true, the edge is directed source->target.
      *                                               If false, the edge has no direction.
+     *     @param {String} [options.id] The edge's identifier, which is taken out of the options.
+     *                                  Two edges in a graph cannot have the same id. If it's not
+     *                                  passed, the graph gives one ("e0", "e1" and so on) when
+     *                                  the edge is added to it.
+     * @example
+     *     var edge = new sg.Edge(graph.getNode("a"), graph.getNode("b"), { id: "ab" });
+     *     edge.addToGraph(graph);
+     *     graph.getEdge("ab") === edge; // true
      */
     function Edge(a, b, options) {
         if (!(a instanceof Node) || !(b instanceof Node)) {
@@ -357,22 +569,34 @@
             throw "options.directed must be a boolean.";
         }
 
+        if (options && options.id !== undefined && !util.isId(options.id)) {
+            throw "options.id must be a non-empty string.";
+        }
+
         /**
-         * Custom object for storing arbitrary data
+         * Custom object for storing arbitrary data, a copy of the options
+         * passed without their id
          * 
          * @property options
          * @type Object
          * @default {}
          */
-        this.options = options || {};
+        this.options = {};
+        Object.keys(options || {}).forEach(function(key) {
+            if (key !== "id") {
+                this.options[key] = options[key];
+            }
+        }, this);
 
         /**
-         * Edge's global unique identifier
+         * The edge's identifier, unique in its graph. Undefined until the edge
+         * is added to a graph, if it wasn't passed in the options.
          * 
          * @private
-         * @property _guid
+         * @property _id
+         * @type {String|undefined}
          */
-        this._guid   = util.guid();
+        this._id     = options ? options.id : undefined;
 
         /**
          * Key used for grouping edges between 2 nodes
@@ -439,6 +663,17 @@
         this._graph   = undefined;
     }
 
+    /**
+     * Getter for the edge's identifier
+     *
+     * @method getId
+     * @return {String|undefined} the edge's identifier, undefined if the edge
+     *                            has none and was never in a graph
+     */
+    Edge.prototype.getId = function() {
+        return this._id;
+    };
+
     /**
      * Getter for the source node
      * 
@@ -464,7 +699,7 @@
      * 
      * @chainable
      * @method removeFromGraph
-     * @return {Edge} reference to *this* edge for method chaining
+     * @return {sg.Edge} reference to *this* edge for method chaining
      */
     Edge.prototype.removeFromGraph = function() {
         if (this._graph === undefined) {
@@ -475,12 +710,39 @@
         return this;
     };
 
+    /**
+     * Puts back an edge, which was removed, in a graph containing both its nodes.
+     * Its direction is changed to the graph's one, unless the graph is mixed.
+     *
+     * @chainable
+     * @method addToGraph
+     * @param {sg.Graph} graph
+     * @return {sg.Edge} reference to *this* edge for method chaining
+     */
+    Edge.prototype.addToGraph = function(g) {
+        if (this._graph !== undefined) {
+            throw "This edge is already in a graph.";
+        }
+
+        if (!(g instanceof Graph)) {
+            throw "The passed parameter is not a sg.Graph.";
+        }
+
+        if (g.nodes.get(this._sourceNode._id) !== this._sourceNode ||
+            g.nodes.get(this._targetNode._id) !== this._targetNode) {
+            throw "The nodes of the edge are not in the graph.";
+        }
+
+        g._addEdge(this);
+        return this;
+    };
+
     /**
      * Getter/setter for the edge's direction
      * 
      * @method directed
      * @param {Boolean} [direction] the new direction of the edge
-     * @return {Boolean|Edge}
+     * @return {Boolean|sg.Edge}
      *     If used as getter, returns whether or not the edge is directed
      *     If used as setter, reference to *this* edge for method chaining
      */
@@ -494,13 +756,38 @@
                 throw "the graph direction should be mixed.";
             }
 
-            this._directed = d;
+            if (d !== this._directed) {
+                var edge = this;
+                this._graph._setEdgeDirected(this, d);
+                this._graph._emit("directionChanged", {
+                    edge: this,
+                    value: d,
+                    previous: !d
+                }, function() {
+                    this._setEdgeDirected(edge, !d);
+                });
+            }
+
             return this;
         }
 
         return this._directed;
     };
 
+    /**
+     * Getter/setter for a single property of the edge's options.
+     * Unlike changing *options* directly, the setter fires the graph's
+     * *optionsChanged* event.
+     *
+     * @method option
+     * @param {String} key
+     * @param {Any} [value] the new value of the property
+     * @return {Any|sg.Edge}
+     *     If used as getter, returns the value of the property
+     *     If used as setter, reference to *this* edge for method chaining
+     */
+    Edge.prototype.option = Node.prototype.option;
+
     /**
      * Private class. Represents a one-way edge,
      * so each node can store only what it needs.
@@ -553,6 +840,86 @@
         this.options = options || {};
     }
 
+    // Adds an item to a change set's added (or removed) items, or cancels it
+    // out if it was in the opposite ones (e.g. an edge added and then removed)
+    function tally(added, removed, key, item) {
+        if (removed[key] === item) {
+            delete removed[key];
+        } else {
+            added[key] = item;
+        }
+    }
+
+    function values(map) {
+        return Object.keys(map).map(function(key) {
+            return map[key];
+        });
+    }
+
+    /**
+     * Builds the event object of the *change* event from the events of the changes
+     *
+     * @private
+     * @method summarize
+     * @param {Array} events the events of the changes, in the order they happened
+     * @return {Object}
+     */
+    function summarize(events) {
+        var nodesAdded = {}, nodesRemoved = {};
+        var edgesAdded = {}, edgesRemoved = {};
+        var directionChanged = [];
+        var options = {};
+
+        events.forEach(function(e) {
+            switch (e.type) {
+                case "nodeAdded":
+                    tally(nodesAdded, nodesRemoved, e.node._id, e.node);
+                    break;
+                case "nodeRemoved":
+                    tally(nodesRemoved, nodesAdded, e.node._id, e.node);
+                    break;
+                case "edgeAdded":
+                    tally(edgesAdded, edgesRemoved, e.edge._id, e.edge);
+                    break;
+                case "edgeRemoved":
+                    tally(edgesRemoved, edgesAdded, e.edge._id, e.edge);
+                    break;
+                case "directionChanged":
+                    directionChanged.push(e);
+                    break;
+                case "optionsChanged":
+                    var target = e.target instanceof Node ? "node:" + e.target._id :
+                                 e.target instanceof Edge ? "edge:" + e.target._id : "graph";
+                    var key = target + ":" + e.key;
+
+                    // keep the value before the first change and after the last one
+                    if (options[key] !== undefined && options[key].target === e.target) {
+                        options[key].value = e.value;
+                    } else {
+                        options[key] = {
+                            target: e.target,
+                            key: e.key,
+                            value: e.value,
+                            previous: e.previous
+                        };
+                    }
+                    break;
+            }
+        });
+
+        return {
+            changes: events,
+            nodesAdded: values(nodesAdded),
+            nodesRemoved: values(nodesRemoved),
+            edgesAdded: values(edgesAdded),
+            edgesRemoved: values(edgesRemoved),
+            directionChanged: directionChanged,
+            optionsChanged: values(options).filter(function(option) {
+                return option.value !== option.previous;
+            })
+        };
+    }
+
     /**
      * Represents a graph
      * 
@@ -662,103 +1029,501 @@
         this.edges = new buckets.MultiBag(function(e) {
             return e._key;
         }, function(e) {
-            return e._guid;
+            return e._id;
         });
+
+        /**
+         * The graph's edges by their ids
+         *
+         * @private
+         * @property _edgeIds
+         * @type buckets.Dictionary of String->sg.Edge
+         */
+        this._edgeIds = new buckets.Dictionary();
+
+        /**
+         * The number of the next id given to an edge without one
+         *
+         * @private
+         * @property _nextEdgeId
+         * @type Number
+         */
+        this._nextEdgeId = 0;
+
+        /**
+         * The handlers of each event
+         *
+         * @private
+         * @property _listeners
+         * @type Object of String->Array of Function
+         */
+        this._listeners = {};
+
+        /**
+         * The changes not yet reported with a *change* event.
+         * Each one is { event, revert } where revert undoes the change
+         * without firing events.
+         *
+         * @private
+         * @property _changes
+         * @type Array of Object
+         */
+        this._changes = [];
+
+        /**
+         * How many times beginUpdate was called without endUpdate
+         *
+         * @private
+         * @property _updates
+         * @type Number
+         */
+        this._updates = 0;
+
+        /**
+         * How many methods making more than one change are running,
+         * their changes are reported in a single *change* event
+         *
+         * @private
+         * @property _operations
+         * @type Number
+         */
+        this._operations = 0;
     }
 
     /**
-     * Removes edge from the graph
+     * Adds a handler for a graph event. The handler is called with an event object
+     * having *type* (the event's name), *graph* and these properties:
      *
-     * @private
-     * @method _removeEdge
-     * @param  {Edge|EdgeConnection} edge
+     * - *nodeAdded*, *nodeRemoved*: *node*
+     * - *edgeAdded*, *edgeRemoved*: *edge*
+     * - *directionChanged*: *value* and *previous*, and *edge* if an edge's direction
+     *   changed, or *edges* (the edges which changed) if the graph's direction changed
+     * - *optionsChanged*: *target* (the node, edge or graph), *key*, *value* and *previous*
+     *
+     * - *change*: a summary of one or more of the events above, fired after each change
+     *   or, during an update (see {{#crossLink "sg.Graph/batch"}}batch{{/crossLink}}),
+     *   once at its end. It has *changes* (the events, in order), *nodesAdded*, *nodesRemoved*,
+     *   *edgesAdded*, *edgesRemoved* (without the ones added and removed again),
+     *   *directionChanged* (the events) and *optionsChanged* ({ target, key, value, previous }
+     *   for each property, with the value before the first change and after the last one)
+     *
+     * Removing a node fires *edgeRemoved* for each of its edges before *nodeRemoved*,
+     * and a single *change* event for all of them.
+     * During an update only *change* is fired.
+     *
+     * @method on
+     * @chainable
+     * @param {String} event the event's name
+     * @param {Function} handler
+     * @return {sg.Graph} reference to *this* graph for method chaining
+     * @example
+     *     graph.on("nodeAdded", function(e) {
+     *         console.log( e.node.getId() );
+     *     });
      */
-    Graph.prototype._removeEdge = function(edge) {
-        /*jshint expr:true */
-        if (!(edge instanceof Edge) && !(edge instanceof EdgeConnection)) {
-            throw "edge sgould be Edge or EdgeConnection.";
+    Graph.prototype.on = function(event, handler) {
+        if (EVENTS.indexOf(event) === -1) {
+            throw "Unknown event: " + event;
         }
 
-        if (edge instanceof EdgeConnection) {
-            edge = edge.edge;
+        if (typeof handler !== "function") {
+            throw "handler should be a function.";
         }
 
-        edge._sourceNode._removeEdge(edge);
-        !edge._directed && edge._targetNode._removeEdge(edge);
-        this.edges.remove(edge);
+        this._listeners[event] = this._listeners[event] || [];
+        this._listeners[event].push(handler);
+        return this;
     };
 
     /**
-     * Add node to the graph
-     * 
-     * @method addNode
-     * @param {String|sg.Node} node
-     *                         If {String}, new sg.Node will be created with this
-     *                         string as its id, and will be added to the graph.
-     *                         If {sg.Node}, the node will be added to the graph.
+     * Removes a handler added with {{#crossLink "sg.Graph/on"}}sg.Graph.on{{/crossLink}}
+     *
+     * @method off
+     * @chainable
+     * @param {String} event the event's name
+     * @param {Function} [handler] the handler to remove. If omitted, all handlers
+     *                             of the event are removed.
+     * @return {sg.Graph} reference to *this* graph for method chaining
      */
-    Graph.prototype.addNode = function(node) {
-        if ((typeof node !== "string" || node === "") && !(node instanceof Node)) {
-            throw "Invalid node: " + node;
+    Graph.prototype.off = function(event, handler) {
+        if (EVENTS.indexOf(event) === -1) {
+            throw "Unknown event: " + event;
         }
 
-        var id = node._id || node;
-        if ( !this.override && this.nodes.get(id) !== undefined ) {
-            throw "A node with id \"" + id + "\" already exists in this graph." +
-                  "(Use the option override if needed)";
+        if (handler === undefined) {
+            delete this._listeners[event];
+            return this;
         }
 
-        if ( node instanceof Node && node._graph !== undefined ) {
-            throw "The node \"" + id + "\" is in another graph.";
+        var listeners = this._listeners[event] || [];
+        var index = listeners.indexOf(handler);
+        if (index !== -1) {
+            listeners.splice(index, 1);
         }
 
-        node = node instanceof Node ? node : new Node(id);
-
-        this.nodes.set(id, node);
-        node._graph = this;
+        return this;
     };
 
     /**
-     * Removes node from the graph
-     * 
-     * @method removeNode
-     * @param {String|sg.Node} node
-     *                         If {String}, the node with id the string will be
-     *                         removed from the graph.
-     *                         If {sg.Node}, the node will be removed from the graph.
+     * Records a change and calls the handlers of its event,
+     * unless an update is running
+     *
+     * @private
+     * @method _emit
+     * @param {String} type the event's name
+     * @param {Object} data the event object, *type* and *graph* are added to it
+     * @param {Function} revert undoes the change without firing events,
+     *                          called with *this* graph as context
      */
-    Graph.prototype.removeNode = function(node) {
-        if ((typeof node !== "string" || node === "") && !(node instanceof Node)) {
-            throw "Invalid node: " + node;
-        }
+    Graph.prototype._emit = function(type, data, revert) {
+        data.type = type;
+        data.graph = this;
 
-        var id = node._id || node;
-        if (this.nodes.get(id) === undefined ||
-            (node instanceof Node && this.nodes.get(id) !== node)) {
-            throw "The passed node is not in this graph.";
+        this._changes.push({ event: data, revert: revert });
+        if (this._updates === 0) {
+            this._dispatch(type, data);
         }
 
-        node = this.nodes.get(id);
-        this.edges.forEach(function(edge) {
-            var source = edge._sourceNode;
-            var target = edge._targetNode;
+        this._flush();
+    };
 
-            if (source === node || target === node) {
-                if (source !== node) {
-                    source._removeEdge(edge);
-                }
+    /**
+     * Calls the handlers of an event
+     *
+     * @private
+     * @method _dispatch
+     * @param {String} type the event's name
+     * @param {Object} data the event object
+     */
+    Graph.prototype._dispatch = function(type, data) {
+        // copy, so handlers can be removed while the event is being fired
+        (this._listeners[type] || []).slice().forEach(function(handler) {
+            handler.call(this, data);
+        }, this);
+    };
 
-                if (target !== node) {
-                    target._removeEdge(edge);
-                }
+    /**
+     * Fires the *change* event for the changes made so far,
+     * unless an update or an operation is still running
+     *
+     * @private
+     * @method _flush
+     */
+    Graph.prototype._flush = function() {
+        if (this._updates > 0 || this._operations > 0 || this._changes.length === 0) {
+            return;
+        }
 
-                this.edges.remove(edge);
-            }
-        }.bind(this));
+        var changes = this._changes;
+        this._changes = [];
 
-        node._graph   = undefined;
-        node.edges.clear();
-        this.nodes.remove(id);
+        var data = summarize(changes.map(function(change) {
+            return change.event;
+        }));
+
+        data.type = "change";
+        data.graph = this;
+        this._dispatch("change", data);
+    };
+
+    /**
+     * Calls fn, reporting all the changes it makes in a single *change* event
+     *
+     * @private
+     * @method _operation
+     * @param {Function} fn called with *this* graph as context
+     */
+    Graph.prototype._operation = function(fn) {
+        this._operations++;
+        try {
+            fn.call(this);
+        } finally {
+            this._operations--;
+        }
+
+        this._flush();
+    };
+
+    /**
+     * Undoes the changes not yet reported, back to the given one,
+     * without firing events
+     *
+     * @private
+     * @method _rollback
+     * @param {Number} from the index in *_changes* of the first change to undo
+     */
+    Graph.prototype._rollback = function(from) {
+        while (this._changes.length > from) {
+            this._changes.pop().revert.call(this);
+        }
+    };
+
+    /**
+     * Starts an update. Until the matching
+     * {{#crossLink "sg.Graph/endUpdate"}}endUpdate{{/crossLink}}, no events are fired
+     * and when it's called all the changes are reported in a single *change* event.
+     * Updates can be nested, the event is fired at the end of the outermost one.
+     *
+     * **See also**: {{#crossLink "sg.Graph/batch"}}sg.Graph.batch{{/crossLink}}
+     * which also rolls the changes back on errors
+     *
+     * @method beginUpdate
+     * @chainable
+     * @return {sg.Graph} reference to *this* graph for method chaining
+     */
+    Graph.prototype.beginUpdate = function() {
+        this._updates++;
+        return this;
+    };
+
+    /**
+     * Ends an update started with {{#crossLink "sg.Graph/beginUpdate"}}beginUpdate{{/crossLink}}
+     *
+     * @method endUpdate
+     * @chainable
+     * @return {sg.Graph} reference to *this* graph for method chaining
+     */
+    Graph.prototype.endUpdate = function() {
+        if (this._updates === 0) {
+            throw "endUpdate called without beginUpdate.";
+        }
+
+        this._updates--;
+        this._flush();
+        return this;
+    };
+
+    /**
+     * Calls fn in an update (see {{#crossLink "sg.Graph/beginUpdate"}}beginUpdate{{/crossLink}}),
+     * so all its changes are reported in a single *change* event.
+     * If fn throws, all its changes are undone, no events are fired for them
+     * and the error is thrown again.
+     *
+     * @method batch
+     * @chainable
+     * @param {Function} fn called with *this* graph as context and argument
+     * @return {sg.Graph} reference to *this* graph for method chaining
+     * @example
+     *     graph.batch(function(g) {
+     *         g.addNode("1");
+     *         g.addNode("2");
+     *         g.connect("1", "2");
+     *     });
+     */
+    Graph.prototype.batch = function(fn) {
+        if (typeof fn !== "function") {
+            throw "fn should be a function.";
+        }
+
+        var from = this._changes.length;
+        this.beginUpdate();
+        try {
+            fn.call(this, this);
+        } catch (e) {
+            this._rollback(from);
+            this.endUpdate();
+            throw e;
+        }
+
+        return this.endUpdate();
+    };
+
+    /**
+     * Puts the node in the graph, without firing events
+     *
+     * @private
+     * @method _insertNode
+     * @param {sg.Node} node
+     */
+    Graph.prototype._insertNode = function(node) {
+        this.nodes.set(node._id, node);
+        node._graph = this;
+    };
+
+    /**
+     * Takes out a node, which has no edges left, from the graph, without firing events
+     *
+     * @private
+     * @method _deleteNode
+     * @param {sg.Node} node
+     */
+    Graph.prototype._deleteNode = function(node) {
+        node._graph = undefined;
+        node.edges.clear();
+        node._incoming.clear();
+        this.nodes.remove(node._id);
+    };
+
+    /**
+     * Puts the edge in the graph and in its nodes, without firing events
+     *
+     * @private
+     * @method _insertEdge
+     * @param {Edge} edge
+     */
+    Graph.prototype._insertEdge = function(edge) {
+        var source = edge._sourceNode;
+        var target = edge._targetNode;
+
+        edge._graph = this;
+        source._addEdge(edge._sourceConnection);
+        if (edge._directed) {
+            target._incoming.add(edge._targetConnection);
+        } else if (source !== target) {
+            target._addEdge(edge._targetConnection);
+        }
+
+        this.edges.add(edge);
+        this._edgeIds.set(edge._id, edge);
+    };
+
+    /**
+     * Takes out the edge from the graph and from its nodes, without firing events
+     *
+     * @private
+     * @method _deleteEdge
+     * @param {Edge} edge
+     */
+    Graph.prototype._deleteEdge = function(edge) {
+        /*jshint expr:true */
+        edge._sourceNode._removeEdge(edge);
+        !edge._directed && edge._targetNode._removeEdge(edge);
+        edge._directed && util.multiBagRemove(edge._targetNode._incoming, edge._targetConnection);
+        util.multiBagRemove(this.edges, edge);
+        this._edgeIds.remove(edge._id);
+        edge._graph = undefined;
+    };
+
+    /**
+     * Changes an edge's direction, keeping the target node's connections
+     * correct, without firing events
+     *
+     * @private
+     * @method _setEdgeDirected
+     * @param {Edge} edge
+     * @param {Boolean} directed
+     */
+    Graph.prototype._setEdgeDirected = function(edge, directed) {
+        if (edge._directed === directed) {
+            return;
+        }
+
+        var target = edge._targetNode;
+        var selfloop = edge._sourceNode === target;
+        if (directed) {
+            if (!selfloop) {
+                target._removeEdge(edge._targetConnection);
+            }
+
+            target._incoming.add(edge._targetConnection);
+        } else {
+            util.multiBagRemove(target._incoming, edge._targetConnection);
+            if (!selfloop) {
+                target._addEdge(edge._targetConnection);
+            }
+        }
+
+        edge._directed = directed;
+    };
+
+    /**
+     * Removes edge from the graph
+     *
+     * @private
+     * @method _removeEdge
+     * @param  {Edge|EdgeConnection} edge
+     */
+    Graph.prototype._removeEdge = function(edge) {
+        if (!(edge instanceof Edge) && !(edge instanceof EdgeConnection)) {
+            throw "edge sgould be Edge or EdgeConnection.";
+        }
+
+        if (edge instanceof EdgeConnection) {
+            edge = edge.edge;
+        }
+
+        this._deleteEdge(edge);
+        this._emit("edgeRemoved", { edge: edge }, function() {
+            this._insertEdge(edge);
+        });
+    };
+
+    /**
+     * Add node to the graph
+     * 
+     * @method addNode
+     * @param {String|sg.Node} node
+     *                         If {String}, new sg.Node will be created with this
+     *                         string as its id, and will be added to the graph.
+     *                         If {sg.Node}, the node will be added to the graph.
+     */
+    Graph.prototype.addNode = function(node) {
+        if ((typeof node !== "string" || node === "") && !(node instanceof Node)) {
+            throw "Invalid node: " + node;
+        }
+
+        var id = node._id || node;
+        if ( !this.override && this.nodes.get(id) !== undefined ) {
+            throw "A node with id \"" + id + "\" already exists in this graph." +
+                  "(Use the option override if needed)";
+        }
+
+        if ( node instanceof Node && node._graph !== undefined ) {
+            throw "The node \"" + id + "\" is in another graph.";
+        }
+
+        node = node instanceof Node ? node : new Node(id);
+
+        this._operation(function() {
+            if (this.nodes.get(id) !== undefined) {
+                this.removeNode(id);
+            }
+
+            this._insertNode(node);
+            this._emit("nodeAdded", { node: node }, function() {
+                this._deleteNode(node);
+            });
+        });
+    };
+
+    /**
+     * Removes node from the graph
+     * 
+     * @method removeNode
+     * @param {String|sg.Node} node
+     *                         If {String}, the node with id the string will be
+     *                         removed from the graph.
+     *                         If {sg.Node}, the node will be removed from the graph.
+     */
+    Graph.prototype.removeNode = function(node) {
+        if ((typeof node !== "string" || node === "") && !(node instanceof Node)) {
+            throw "Invalid node: " + node;
+        }
+
+        var id = node._id || node;
+        if (this.nodes.get(id) === undefined ||
+            (node instanceof Node && this.nodes.get(id) !== node)) {
+            throw "The passed node is not in this graph.";
+        }
+
+        node = this.nodes.get(id);
+        this._operation(function() {
+            // the node's own connections are enough, so the removal takes time
+            // proportional to its degree. A directed selfloop is in both.
+            var edges = {};
+            node.edges.toArray().concat(node._incoming.toArray()).forEach(function(connection) {
+                edges[connection.edge._id] = connection.edge;
+            });
+
+            Object.keys(edges).forEach(function(key) {
+                this._removeEdge(edges[key]);
+            }, this);
+
+            this._deleteNode(node);
+            this._emit("nodeRemoved", { node: node }, function() {
+                this._insertNode(node);
+            });
+        });
     };
 
     /**
@@ -769,11 +1534,11 @@
      * @param {sg.Node|String} target The target node (or its id)
      * @param {Object} [options] optional options object passed to the Edge's
      *                           constructor.
-     *                           See {{#crossLink "Edge"}}Edge{{/crossLink}}
+     *                           See {{#crossLink "sg.Edge"}}sg.Edge{{/crossLink}}
      *                           for more details.
+     * @return {sg.Edge} the new edge
      */
     Graph.prototype.connect = function(a, b, options) {
-        /*jshint expr:true */
         var aId = a._id || a;
         var bId = b._id || b;
         if (this.nodes.get(aId) === undefined) {
@@ -784,16 +1549,7 @@
             throw "Node \"" + bId + "\" isn't in the graph.";
         }
 
-        if (!this._multigraph && 
-            (util.multiBagContains(this.edges, aId + bId) ||
-             util.multiBagContainsUndirectedEdge(this.edges, bId + aId))
-            ) {
-            throw "Edge between " + aId + " and " + bId + " already exists.";
-        }
-
-        if (!this.selfloops && aId === bId) {
-            throw "Slefloops are not allowed.";
-        }
+        this._checkEdge(aId, bId);
 
         if (options && !util.isObject(options)) {
             throw "Options must be an object.";
@@ -810,10 +1566,60 @@
         }
 
         var edge = new Edge(source, target, options);
-        edge._graph = this;
-        source._addEdge(edge._sourceConnection);
-        !options.directed && source !== target && target._addEdge(edge._targetConnection);
-        this.edges.add(edge);
+        this._addEdge(edge);
+        return edge;
+    };
+
+    /**
+     * Throws if an edge between the two nodes can't be added to the graph
+     *
+     * @private
+     * @method _checkEdge
+     * @param {String} aId the id of the source node
+     * @param {String} bId the id of the target node
+     */
+    Graph.prototype._checkEdge = function(aId, bId) {
+        // an edge from a to b, or an undirected edge from b to a
+        if (!this._multigraph && this.getEdges(aId, bId).some(function(edge) {
+                return edge._sourceNode._id === aId || !edge._directed;
+            })) {
+            throw "Edge between " + aId + " and " + bId + " already exists.";
+        }
+
+        if (!this.selfloops && aId === bId) {
+            throw "Slefloops are not allowed.";
+        }
+    };
+
+    /**
+     * Adds an edge, whose nodes are in the graph, and fires *edgeAdded*
+     *
+     * @private
+     * @method _addEdge
+     * @param {Edge} edge
+     */
+    Graph.prototype._addEdge = function(edge) {
+        this._checkEdge(edge._sourceNode._id, edge._targetNode._id);
+
+        if (edge._id !== undefined && this._edgeIds.get(edge._id) !== undefined) {
+            throw "An edge with id \"" + edge._id + "\" already exists in this graph.";
+        }
+
+        while (edge._id === undefined) {
+            var id = "e" + this._nextEdgeId++;
+            if (this._edgeIds.get(id) === undefined) {
+                edge._id = id;
+            }
+        }
+
+        if (this._direction !== DIRECTION.MIXED) {
+            edge._directed = this._direction === DIRECTION.DIRECTED;
+        }
+
+        this._insertEdge(edge);
+        this._emit("edgeAdded", { edge: edge }, function() {
+            this._deleteEdge(edge);
+        });
     };
 
     /**
@@ -821,13 +1627,41 @@
      * ***Be careful!*** This method does not differ directed edges, so calling this
      * method with the nodes (a, b) will remove all edges (b, a) as well.
      *
-     * **See also**: {{#crossLink "Edge/removeFromGraph"}}Edge.removeFromGraph{{/crossLink}} 
+     * **See also**: {{#crossLink "sg.Edge/removeFromGraph"}}sg.Edge.removeFromGraph{{/crossLink}},
+     * {{#crossLink "sg.Graph/getEdges"}}getEdges{{/crossLink}}
      * 
      * @method detach
      * @param {sg.Node|String} source The source node (or its id)
      * @param {sg.Node|String} target The target node (or its id)
      */
     Graph.prototype.detach = function(a, b) {
+        var edges = this.getEdges(a, b);
+
+        this._operation(function() {
+            edges.forEach(function(edge) {
+                this._removeEdge(edge);
+            }, this);
+        });
+    };
+
+    /**
+     * Get the edges between two nodes, in either direction
+     *
+     * @method getEdges
+     * @param {sg.Node|String} a The first node (or its id)
+     * @param {sg.Node|String} b The second node (or its id)
+     * @param {Object} [options]
+     *     @param {Boolean} [options.directedOnly=false] If true, only the directed edges
+     *                                                   from a to b are returned
+     * @return {Array of sg.Edge}
+     * @example
+     *     graph.getEdges("a", "b").forEach(function(edge) {
+     *         if (edge.option("weight") > 10) {
+     *             edge.removeFromGraph();
+     *         }
+     *     });
+     */
+    Graph.prototype.getEdges = function(a, b, options) {
         var aId = a._id || a;
         var bId = b._id || b;
         if (this.nodes.get(aId) === undefined) {
@@ -838,11 +1672,51 @@
             throw "Node \"" + bId + "\" isn't in the graph.";
         }
 
-        if (util.multiBagRemove(this.edges, aId + bId) ||
-            util.multiBagRemove(this.edges, bId + aId)) {
-            util.multiBagRemove(this.nodes.get(aId).edges, bId);
-            util.multiBagRemove(this.nodes.get(bId).edges, aId);
+        if (options && !util.isObject(options)) {
+            throw "Options must be an object.";
+        }
+
+        var directedOnly = options !== undefined && options.directedOnly === true;
+        var edges = util.multiBagValues(this.edges, aId + bId);
+        if (aId !== bId && !directedOnly) {
+            edges = edges.concat(util.multiBagValues(this.edges, bId + aId));
         }
+
+        return edges.filter(function(edge) {
+            // the keys of different pairs of nodes can be the same (e.g. "1"+"12" and "11"+"2")
+            var source = edge._sourceNode._id;
+            var target = edge._targetNode._id;
+            if (directedOnly) {
+                return edge._directed && source === aId && target === bId;
+            }
+
+            return (source === aId && target === bId) || (source === bId && target === aId);
+        });
+    };
+
+    /**
+     * Checks if there is an edge between two nodes.
+     * See {{#crossLink "sg.Graph/getEdges"}}getEdges{{/crossLink}} for the parameters.
+     *
+     * @method hasEdge
+     * @param {sg.Node|String} a
+     * @param {sg.Node|String} b
+     * @param {Object} [options]
+     * @return {Boolean}
+     */
+    Graph.prototype.hasEdge = function(a, b, options) {
+        return this.getEdges(a, b, options).length > 0;
+    };
+
+    /**
+     * Get edge by its id
+     *
+     * @method getEdge
+     * @param {String} id The id of the wanted edge
+     * @return {sg.Edge|undefined} The edge itself
+     */
+    Graph.prototype.getEdge = function(id) {
+        return this._edgeIds.get(id);
     };
 
     /**
@@ -855,6 +1729,47 @@
         return this.nodes.get(id);
     };
 
+    /**
+     * Getter/setter for a single property of the graph's options.
+     * Unlike changing *options* directly, the setter fires the
+     * *optionsChanged* event. The key "multigraph" gets and sets the
+     * graph's {{#crossLink "sg.Graph/multigraph"}}multigraph{{/crossLink}} property.
+     *
+     * @method option
+     * @param {String} key
+     * @param {Any} [value] the new value of the property.
+     *                      If it's passed and undefined, the property is removed.
+     * @return {Any|sg.Graph}
+     *     If used as getter, returns the value of the property
+     *     If used as setter, reference to *this* graph for method chaining
+     */
+    Graph.prototype.option = function(key, value) {
+        if (typeof key !== "string") {
+            throw "key should be a string.";
+        }
+
+        if (key === "multigraph") {
+            return arguments.length < 2 ? this._multigraph : this.multigraph(value);
+        }
+
+        if (arguments.length < 2) {
+            return this.options[key];
+        }
+
+        var previous = this.options[key];
+        util.setOption(this.options, key, value);
+        this._emit("optionsChanged", {
+            target: this,
+            key: key,
+            value: value,
+            previous: previous
+        }, function() {
+            util.setOption(this.options, key, previous);
+        });
+
+        return this;
+    };
+
     /**
      * Getter/setter for the graph's direction
      *
@@ -874,23 +1789,31 @@
                 return this;
             }
 
+            var changed = [];
             if (direction === DIRECTION.UNDIRECTED ||
                 direction === DIRECTION.DIRECTED) {
                 var directed = direction === DIRECTION.DIRECTED;
                 this.edges.forEach(function(edge) {
                     if (edge._directed !== directed) {
-                        if (edge._directed === true) {
-                            edge._targetNode._addEdge( edge._targetConnection );
-                        } else {
-                            edge._targetNode._removeEdge( edge._targetConnection );
-                        }
-
-                        edge._directed = directed;
+                        this._setEdgeDirected(edge, directed);
+                        changed.push(edge);
                     }
-                });
+                }.bind(this));
             }
 
+            var previous = this._direction;
             this._direction = direction;
+            this._emit("directionChanged", {
+                value: direction,
+                previous: previous,
+                edges: changed
+            }, function() {
+                this._direction = previous;
+                changed.forEach(function(edge) {
+                    this._setEdgeDirected(edge, !edge._directed);
+                }, this);
+            });
+
             return this;
         }
         return this._direction;
@@ -916,11 +1839,40 @@
                 return this;
             }
 
-            if (this._multigraph === true) {
-                this.edges.normalize();
-            }
-            
-            this._multigraph = multigraph;
+            this._operation(function() {
+                if (this._multigraph === true) {
+                    // keep only the first of the parallel edges, which are found like
+                    // in _checkEdge: an edge from a to b, or an undirected edge from b to a
+                    var kept = {};
+                    this.edges.toArray().forEach(function(edge) {
+                        var source = edge._sourceNode._id;
+                        var target = edge._targetNode._id;
+                        var pair = source + "\u0000" + target;
+                        var reverse = target + "\u0000" + source;
+                        var others = (kept[pair] || []).concat(source !== target ? kept[reverse] || [] : []);
+                        var parallel = others.some(function(other) {
+                            return other._sourceNode._id === source || !other._directed;
+                        });
+
+                        if (parallel) {
+                            this._removeEdge(edge);
+                        } else {
+                            kept[pair] = (kept[pair] || []).concat(edge);
+                        }
+                    }, this);
+                }
+
+                this._multigraph = multigraph;
+                this._emit("optionsChanged", {
+                    target: this,
+                    key: "multigraph",
+                    value: multigraph,
+                    previous: !multigraph
+                }, function() {
+                    this._multigraph = !multigraph;
+                });
+            });
+
             return this;
         }
         return this._multigraph;
@@ -970,6 +1922,221 @@
         return this.selfloops;
     };
 
+    /**
+     * The version of the objects made by {{#crossLink "sg.Graph/toJSON"}}toJSON{{/crossLink}}
+     *
+     * @private
+     * @property JSON_VERSION
+     * @type Number
+     */
+    var JSON_VERSION = 1;
+
+    // the names of the directions in the JSON objects
+    var DIRECTION_NAMES = ["undirected", "directed", "mixed"];
+
+    // the graph's properties, which are kept in its options too
+    var PROPERTIES = ["direction", "multigraph", "selfloops", "override"];
+
+    /**
+     * Makes a plain object, which can be passed to JSON.stringify, describing the graph.
+     * The options are copied, so they should be plain objects, arrays and values too.
+     * The object is:
+     *
+     *     {
+     *         version: 1,
+     *         direction: "undirected", // or "directed" or "mixed"
+     *         multigraph: false,
+     *         selfloops: false,
+     *         override: false,
+     *         options: {},
+     *         nodes: [ { id: "1", options: {} }, ... ],
+     *         edges: [ { id: "e0", source: "1", target: "2", directed: false, options: {} }, ... ]
+     *     }
+     *
+     * **See also**: {{#crossLink "sg.Graph/fromJSON"}}sg.Graph.fromJSON{{/crossLink}}
+     *
+     * @method toJSON
+     * @return {Object}
+     */
+    Graph.prototype.toJSON = function() {
+        var options = util.clone(this.options);
+        PROPERTIES.forEach(function(key) {
+            delete options[key];
+        });
+
+        return {
+            version: JSON_VERSION,
+            direction: DIRECTION_NAMES[this._direction],
+            multigraph: this._multigraph,
+            selfloops: this.selfloops,
+            override: this.override,
+            options: options,
+            nodes: this.nodes.values().map(function(node) {
+                return {
+                    id: node._id,
+                    options: util.clone(node.options)
+                };
+            }),
+            edges: this.edges.toArray().map(function(edge) {
+                // the edge's direction is kept only in directed
+                var options = util.clone(edge.options);
+                delete options.directed;
+
+                return {
+                    id: edge._id,
+                    source: edge._sourceNode._id,
+                    target: edge._targetNode._id,
+                    directed: edge._directed,
+                    options: options
+                };
+            })
+        };
+    };
+
+    /**
+     * Makes a graph from an object made by {{#crossLink "sg.Graph/toJSON"}}toJSON{{/crossLink}}
+     * (or from its JSON string). Only *version*, *nodes* and each node's *id*, and each edge's
+     * *source* and *target* are required. The edges without *id* get one from the graph.
+     * The options are copied.
+     *
+     * @method fromJSON
+     * @static
+     * @param {Object|String} json
+     * @return {sg.Graph}
+     * @example
+     *     var graph = sg.Graph.fromJSON({
+     *         version: 1,
+     *         direction: "directed",
+     *         nodes: [ { id: "1" }, { id: "2", options: { pos: { x: 10, y: 10 } } } ],
+     *         edges: [ { source: "1", target: "2" } ]
+     *     });
+     */
+    Graph.fromJSON = function(json) {
+        var invalid = function(message) {
+            return "Invalid JSON graph: " + message;
+        };
+
+        var checkOptions = function(options, name) {
+            if (options !== undefined && !util.isObject(options)) {
+                throw invalid(name + ".options should be an object.");
+            }
+
+            return util.clone(options || {});
+        };
+
+        if (typeof json === "string") {
+            try {
+                json = JSON.parse(json);
+            } catch (e) {
+                throw invalid(e.message);
+            }
+        }
+
+        if (!util.isObject(json)) {
+            throw invalid("it should be an object.");
+        }
+
+        if (json.version !== JSON_VERSION) {
+            throw invalid("unsupported version " + json.version + ".");
+        }
+
+        var direction = DIRECTION_NAMES.indexOf(json.direction || "undirected");
+        if (direction === -1) {
+            throw invalid("unknown direction " + json.direction + ".");
+        }
+
+        ["multigraph", "selfloops", "override"].forEach(function(key) {
+            if (json[key] !== undefined && typeof json[key] !== "boolean") {
+                throw invalid(key + " should be boolean.");
+            }
+        });
+
+        if (!Array.isArray(json.nodes)) {
+            throw invalid("nodes should be an array.");
+        }
+
+        if (json.edges !== undefined && !Array.isArray(json.edges)) {
+            throw invalid("edges should be an array.");
+        }
+
+        var options = checkOptions(json.options, "graph");
+        options.direction  = direction;
+        options.multigraph = json.multigraph === true;
+        options.selfloops  = json.selfloops === true;
+        options.override   = json.override === true;
+
+        var graph = new Graph(options);
+
+        // the ids given to the edges without one can't be the ids of later edges
+        var taken = {};
+        (json.edges || []).forEach(function(edge) {
+            if (util.isObject(edge) && util.isId(edge.id)) {
+                taken[edge.id] = true;
+            }
+        });
+
+        var nextId = 0;
+        var freeId = function() {
+            while (taken.hasOwnProperty("e" + nextId)) {
+                nextId++;
+            }
+
+            return "e" + nextId++;
+        };
+
+        json.nodes.forEach(function(node, i) {
+            var name = "nodes[" + i + "]";
+            if (!util.isObject(node)) {
+                throw invalid(name + " should be an object.");
+            }
+
+            if (typeof node.id !== "string" || node.id === "") {
+                throw invalid(name + ".id should be a non-empty string.");
+            }
+
+            if (graph.nodes.get(node.id) !== undefined) {
+                throw invalid(name + ": duplicate node id \"" + node.id + "\".");
+            }
+
+            graph.addNode(new Node(node.id, checkOptions(node.options, name)));
+        });
+
+        (json.edges || []).forEach(function(edge, i) {
+            var name = "edges[" + i + "]";
+            if (!util.isObject(edge)) {
+                throw invalid(name + " should be an object.");
+            }
+
+            ["source", "target"].forEach(function(key) {
+                if (typeof edge[key] !== "string" || graph.nodes.get(edge[key]) === undefined) {
+                    throw invalid(name + "." + key + " should be the id of a node.");
+                }
+            });
+
+            if (edge.directed !== undefined && typeof edge.directed !== "boolean") {
+                throw invalid(name + ".directed should be boolean.");
+            }
+
+            if (edge.id !== undefined && !util.isId(edge.id)) {
+                throw invalid(name + ".id should be a non-empty string.");
+            }
+
+            var edgeOptions = checkOptions(edge.options, name);
+            edgeOptions.id = edge.id !== undefined ? edge.id : freeId();
+            if (direction === DIRECTION.MIXED) {
+                edgeOptions.directed = edge.directed === true;
+            }
+
+            try {
+                graph.connect(edge.source, edge.target, edgeOptions);
+            } catch (e) {
+                throw invalid(name + ": " + e);
+            }
+        });
+
+        return graph;
+    };
+
     function AbstractRenderer(graph) {
         this.refresh = function() { throw "Unimplemented method."; };
         this.draw    = function() { throw "Unimplemented method."; };
@@ -998,6 +2165,10 @@
 
     ConsoleRenderer.prototype = new AbstractRenderer();
 
+    function AbstractLayout() {
+        this.run = function(graph) { throw "Unimplemented method."; };
+    }
+
     /**
      * Simple Graph - a library for manipulating graphs
      * 
@@ -1007,16 +2178,23 @@
     var sg = {
         DIRECTION: DIRECTION,
         Node: Node,
+        Edge: Edge,
         Graph: Graph,
 
         Renderer: {
             AbstractRenderer: AbstractRenderer,
             ConsoleRenderer : ConsoleRenderer
-        }
+        },
+
+        Layout: {
+            AbstractLayout: AbstractLayout
+        },
+
+        // the graph algorithms, added by the files in src/
+        algorithms: {}
     };
 
     if (typeof JASMINE_TEST !== "undefined") {
-        sg.Edge = Edge;
         sg.EdgeConnection = EdgeConnection;
     }
     
@@ -0,0 +1,211 @@
+(function () {
+    "use strict";
+
+    if (typeof sg === "undefined") {
+        throw "Module SimpleGraph (sg) is not yet loaded.";
+    }
+
+    if (typeof sg.io === "undefined") {
+        throw "Module sg.io (src/io.js) is not yet loaded.";
+    }
+
+    function invalid(message) {
+        return "Invalid adjacency matrix: " + message + ".";
+    }
+
+    function checkOptions(options) {
+        if (options &&
+            Object.prototype.toString.call(options) !== "[object Object]") {
+            throw "the options parameter should be an object.";
+        }
+
+        options = options || {};
+
+        if (options.weight !== undefined && typeof options.weight !== "string") {
+            throw "weight should be a string";
+        }
+
+        if (options.directed !== undefined && typeof options.directed !== "boolean") {
+            throw "directed should be boolean";
+        }
+
+        if (options.ids !== undefined && !Array.isArray(options.ids)) {
+            throw "ids should be an array";
+        }
+
+        return options;
+    }
+
+    // A cell is an edge if it's a number other than 0 or true
+    function isEdge(value) {
+        return value === true || (typeof value === "number" && value !== 0);
+    }
+
+    /**
+     * Reads and writes graphs as adjacency matrices: arrays of rows, each an array
+     * of numbers (the weights of the edges, 0 for no edge) or booleans. The rows and
+     * the columns are in the same order as the ids of their nodes.
+     *
+     * The matrices aren't texts, so this isn't one of the formats of
+     * {{#crossLink "sg.io/read"}}sg.io.read{{/crossLink}} and
+     * {{#crossLink "sg.io/write"}}sg.io.write{{/crossLink}}.
+     *
+     * @class sg.io.AdjacencyMatrix
+     * @static
+     */
+    var AdjacencyMatrix = {
+        /**
+         * Makes a graph from an adjacency matrix. The weights other than 1 are kept
+         * in the edges' options.
+         *
+         * @method read
+         * @param {Array|Object} matrix the matrix, or { ids, matrix }
+         * @param {Object} [options]
+         *     @param {Array} [options.ids] the ids of the nodes. "0", "1" and so on by default.
+         *     @param {Boolean} [options.directed] if false, the matrix should be symmetric
+         *                                         and each pair of cells is an undirected edge.
+         *                                         By default, it's false only if it's symmetric.
+         *     @param {String} [options.weight="weight"] the option of the weights
+         * @return {sg.Graph}
+         * @example
+         *     var graph = sg.io.AdjacencyMatrix.read([
+         *         [0, 2, 0],
+         *         [2, 0, 1],
+         *         [0, 1, 0]
+         *     ], { ids: ["a", "b", "c"] });
+         */
+        read: function(matrix, options) {
+            options = checkOptions(options);
+
+            var ids = options.ids;
+            if (matrix !== null && typeof matrix === "object" && !Array.isArray(matrix)) {
+                ids = ids || matrix.ids;
+                matrix = matrix.matrix;
+            }
+
+            if (!Array.isArray(matrix)) {
+                throw invalid("it should be an array of rows");
+            }
+
+            var n = matrix.length;
+            matrix.forEach(function(row, i) {
+                if (!Array.isArray(row) || row.length !== n) {
+                    throw invalid("row " + i + " should be an array of " + n + " cells");
+                }
+
+                row.forEach(function(value, j) {
+                    if (typeof value !== "number" && typeof value !== "boolean") {
+                        throw invalid("the cell (" + i + ", " + j + ") should be a number or a boolean");
+                    }
+                });
+            });
+
+            if (ids === undefined) {
+                ids = matrix.map(function(row, i) {
+                    return String(i);
+                });
+            }
+
+            if (!Array.isArray(ids) || ids.length !== n) {
+                throw invalid("there should be " + n + " ids");
+            }
+
+            var symmetric = matrix.every(function(row, i) {
+                return row.every(function(value, j) {
+                    return value === matrix[j][i];
+                });
+            });
+
+            var directed = options.directed !== undefined ? options.directed : !symmetric;
+            if (!directed && !symmetric) {
+                throw invalid("an undirected matrix should be symmetric");
+            }
+
+            var weight = options.weight || "weight";
+            var edges = [];
+            matrix.forEach(function(row, i) {
+                row.forEach(function(value, j) {
+                    if (!isEdge(value) || (!directed && j < i)) {
+                        return;
+                    }
+
+                    var o = {};
+                    if (typeof value === "number" && value !== 1) {
+                        o[weight] = value;
+                    }
+
+                    edges.push({
+                        source: String(ids[i]),
+                        target: String(ids[j]),
+                        directed: directed,
+                        options: o
+                    });
+                });
+            });
+
+            return sg.io.build({
+                nodes: ids.map(function(id) {
+                    return { id: String(id) };
+                }),
+                edges: edges,
+                directed: directed
+            }, invalid);
+        },
+
+        /**
+         * Writes a graph as an adjacency matrix of weights. An edge without a weight
+         * counts as 1 and the weights of parallel edges are added. An undirected edge
+         * is in both its cells.
+         *
+         * @method write
+         * @param {sg.Graph} graph
+         * @param {Object} [options]
+         *     @param {Array} [options.ids] the ids of the nodes, in the order of the rows.
+         *                                  All the nodes, sorted by their ids, by default.
+         *     @param {String} [options.weight="weight"] the option of the weights
+         * @return {Object} { ids, matrix }
+         */
+        write: function(graph, options) {
+            if (!(graph instanceof sg.Graph)) {
+                throw "the graph param is not sg.Graph";
+            }
+
+            options = checkOptions(options);
+
+            var ids = options.ids || graph.nodes.keys().sort();
+            var weight = options.weight || "weight";
+            var index = {};
+            ids.forEach(function(id, i) {
+                if (graph.getNode(id) === undefined) {
+                    throw "Node \"" + id + "\" isn't in the graph.";
+                }
+
+                index[id] = i;
+            });
+
+            var matrix = ids.map(function() {
+                return ids.map(function() {
+                    return 0;
+                });
+            });
+
+            graph.edges.forEach(function(edge) {
+                var i = index[edge.getSource().getId()];
+                var j = index[edge.getTarget().getId()];
+                if (i === undefined || j === undefined) {
+                    return;
+                }
+
+                var w = typeof edge.options[weight] === "number" ? edge.options[weight] : 1;
+                matrix[i][j] += w;
+                if (!edge.directed() && i !== j) {
+                    matrix[j][i] += w;
+                }
+            });
+
+            return { ids: ids.slice(), matrix: matrix };
+        }
+    };
+
+    sg.io.AdjacencyMatrix = AdjacencyMatrix;
+}());
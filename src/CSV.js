@@ -0,0 +1,290 @@
+(function () {
+    "use strict";
+
+    if (typeof sg === "undefined") {
+        throw "Module SimpleGraph (sg) is not yet loaded.";
+    }
+
+    if (typeof sg.io === "undefined") {
+        throw "Module sg.io (src/io.js) is not yet loaded.";
+    }
+
+    var NUMBER = /^\s*-?(\.[0-9]+|[0-9]+(\.[0-9]*)?)([eE][-+]?[0-9]+)?\s*$/;
+
+    function invalid(message) {
+        return "Invalid CSV: " + message + ".";
+    }
+
+    function checkOptions(options) {
+        if (options &&
+            Object.prototype.toString.call(options) !== "[object Object]") {
+            throw "the options parameter should be an object.";
+        }
+
+        options = options || {};
+
+        if (options.delimiter !== undefined &&
+            (typeof options.delimiter !== "string" || options.delimiter.length !== 1 ||
+             options.delimiter === "\"" || options.delimiter === "\n")) {
+            throw "delimiter should be a single character, other than a quote or a newline";
+        }
+
+        ["header", "directed"].forEach(function(name) {
+            if (options[name] !== undefined && typeof options[name] !== "boolean") {
+                throw name + " should be boolean";
+            }
+        });
+
+        ["source", "target", "weight"].forEach(function(name) {
+            var column = options[name];
+            if (column !== undefined && typeof column !== "string" && typeof column !== "number") {
+                throw name + " should be a column name or index";
+            }
+        });
+
+        return options;
+    }
+
+    /**
+     * Splits a CSV text in rows of fields, as in RFC 4180: fields with the delimiter,
+     * quotes or newlines are quoted and their quotes are doubled. Empty lines are skipped.
+     *
+     * @private
+     * @method parse
+     * @param {String} text
+     * @param {String} delimiter
+     * @return {Array of Array of String}
+     */
+    function parse(text, delimiter) {
+        var rows = [];
+        var row = [];
+        var field = "";
+        var quoted = false;
+        var i = 0;
+
+        var endRow = function() {
+            row.push(field);
+            if (row.length > 1 || row[0] !== "") {
+                rows.push(row);
+            }
+
+            row = [];
+            field = "";
+        };
+
+        while (i < text.length) {
+            var c = text.charAt(i);
+
+            if (quoted) {
+                if (c === "\"" && text.charAt(i + 1) === "\"") {
+                    field += "\"";
+                    i++;
+                } else if (c === "\"") {
+                    quoted = false;
+                } else {
+                    field += c;
+                }
+            } else if (c === "\"" && field === "") {
+                quoted = true;
+            } else if (c === delimiter) {
+                row.push(field);
+                field = "";
+            } else if (c === "\n") {
+                endRow();
+            } else if (c !== "\r") {
+                field += c;
+            }
+
+            i++;
+        }
+
+        if (quoted) {
+            throw invalid("a quoted field isn't closed");
+        }
+
+        endRow();
+        return rows;
+    }
+
+    function quote(value, delimiter) {
+        value = value === undefined || value === null ? "" : String(value);
+        if (value.indexOf(delimiter) !== -1 || /["\r\n]/.test(value)) {
+            return "\"" + value.replace(/"/g, "\"\"") + "\"";
+        }
+
+        return value;
+    }
+
+    /**
+     * Reads and writes graphs as edge lists in CSV: a row for each edge,
+     * with its source, its target and optionally its weight.
+     *
+     * @class sg.io.CSV
+     * @static
+     */
+    var CSV = {
+        /**
+         * Makes a graph from a CSV edge list. The nodes are the sources and the targets
+         * of the edges. With a header, the other columns are kept in the edges' options,
+         * by their names.
+         *
+         * @method read
+         * @param {String} text the CSV text
+         * @param {Object} [options]
+         *     @param {String} [options.delimiter=","] the field delimiter
+         *     @param {Boolean} [options.header=true] if true, the first row has the names
+         *                                            of the columns
+         *     @param {String|Number} [options.source] the name or the index of the sources' column.
+         *                                             "source" with a header, 0 otherwise.
+         *     @param {String|Number} [options.target] the name or the index of the targets' column.
+         *                                             "target" with a header, 1 otherwise.
+         *     @param {String|Number} [options.weight] the name or the index of the weights' column,
+         *                                             whose values are numbers. "weight" with a header
+         *                                             having it, none otherwise.
+         *     @param {Boolean} [options.directed=false] if true, the edges are directed
+         * @return {sg.Graph}
+         * @example
+         *     var graph = sg.io.CSV.read("from;to;cost\na;b;2\nb;c;1.5", {
+         *         delimiter: ";",
+         *         source: "from",
+         *         target: "to",
+         *         weight: "cost"
+         *     });
+         */
+        read: function(text, options) {
+            if (typeof text !== "string") {
+                throw "text should be a string.";
+            }
+
+            options = checkOptions(options);
+
+            var rows = parse(text, options.delimiter || ",");
+            var header = options.header !== false ? rows.shift() || [] : null;
+
+            var column = function(name, value, required) {
+                if (typeof value === "number") {
+                    return value;
+                }
+
+                if (header === null) {
+                    throw invalid("the " + name + " column can't be found by name without a header");
+                }
+
+                var index = header.indexOf(value);
+                if (index === -1 && required) {
+                    throw invalid("there is no \"" + value + "\" column");
+                }
+
+                return index === -1 ? undefined : index;
+            };
+
+            var source = column("source", options.source !== undefined ? options.source :
+                                header !== null ? "source" : 0, true);
+            var target = column("target", options.target !== undefined ? options.target :
+                                header !== null ? "target" : 1, true);
+            var weight = options.weight !== undefined ? column("weight", options.weight, true) :
+                         header !== null ? column("weight", "weight", false) : undefined;
+
+            var directed = options.directed === true;
+            var nodes = [];
+            var seen = {};
+            var addNode = function(id) {
+                if (!seen[id]) {
+                    seen[id] = true;
+                    nodes.push({ id: id });
+                }
+            };
+
+            var edges = rows.map(function(row, i) {
+                // the rows are counted from 1, with the header
+                var line = i + (header !== null ? 2 : 1);
+                var o = {};
+
+                [["source", source], ["target", target]].forEach(function(pair) {
+                    if (row[pair[1]] === undefined || row[pair[1]] === "") {
+                        throw invalid("the row " + line + " has no " + pair[0]);
+                    }
+                });
+
+                if (weight !== undefined && row[weight] !== undefined && row[weight] !== "") {
+                    if (!NUMBER.test(row[weight])) {
+                        throw invalid("the weight \"" + row[weight] + "\" of the row " + line +
+                                      " isn't a number");
+                    }
+
+                    o[header !== null ? header[weight] : "weight"] = parseFloat(row[weight]);
+                }
+
+                if (header !== null) {
+                    header.forEach(function(name, j) {
+                        if (j !== source && j !== target && j !== weight && name !== "" &&
+                            row[j] !== undefined) {
+                            o[name] = row[j];
+                        }
+                    });
+                }
+
+                addNode(row[source]);
+                addNode(row[target]);
+                return { source: row[source], target: row[target], directed: directed, options: o };
+            });
+
+            return sg.io.build({
+                nodes: nodes,
+                edges: edges,
+                directed: directed
+            }, invalid);
+        },
+
+        /**
+         * Writes the edges of a graph as a CSV edge list. The nodes without edges are left out.
+         *
+         * @method write
+         * @param {sg.Graph} graph
+         * @param {Object} [options]
+         *     @param {String} [options.delimiter=","] the field delimiter
+         *     @param {Boolean} [options.header=true] if true, the first row has the names
+         *                                            of the columns
+         *     @param {String} [options.source="source"] the name of the sources' column
+         *     @param {String} [options.target="target"] the name of the targets' column
+         *     @param {String} [options.weight="weight"] the name of the weights' column and
+         *                                               the option of the weights. The column
+         *                                               is written if some edges have a weight.
+         * @return {String} the CSV text
+         */
+        write: function(graph, options) {
+            if (!(graph instanceof sg.Graph)) {
+                throw "the graph param is not sg.Graph";
+            }
+
+            options = checkOptions(options);
+
+            var delimiter = options.delimiter || ",";
+            var weight = typeof options.weight === "string" ? options.weight : "weight";
+            var edges = graph.edges.toArray();
+            var weighted = edges.some(function(edge) {
+                return edge.options[weight] !== undefined;
+            });
+
+            var rows = [];
+            if (options.header !== false) {
+                rows.push([options.source || "source", options.target || "target"]
+                          .concat(weighted ? [weight] : []));
+            }
+
+            edges.forEach(function(edge) {
+                rows.push([edge.getSource().getId(), edge.getTarget().getId()]
+                          .concat(weighted ? [edge.options[weight]] : []));
+            });
+
+            return rows.map(function(row) {
+                return row.map(function(value) {
+                    return quote(value, delimiter);
+                }).join(delimiter);
+            }).join("\n") + "\n";
+        }
+    };
+
+    sg.io.register("csv", CSV);
+    sg.io.CSV = CSV;
+}());
@@ -0,0 +1,73 @@
+(function () {
+    "use strict";
+
+    if (typeof sg === "undefined") {
+        throw "Module SimpleGraph (sg) is not yet loaded.";
+    }
+
+    /**
+     * Places the nodes evenly on a circle, in the order they are in the graph
+     *
+     * @class sg.Layout.CircularLayout
+     * @constructor
+     * @param {Object} [options]
+     *     @param {Number} [options.width=500] width of the area to fit the nodes in
+     *     @param {Number} [options.height=500] height of the area to fit the nodes in
+     *     @param {Number} [options.margin=30] empty space left around the circle
+     *     @param {Number} [options.startAngle=-Math.PI/2] the angle of the first node
+     *                                                    (on top of the circle by default)
+     */
+    function CircularLayout(options) {
+        if (options &&
+            Object.prototype.toString.call(options) !== "[object Object]") {
+            throw "the options parameter should be an object.";
+        }
+
+        options = options || {};
+
+        ["width", "height", "margin", "startAngle"].forEach(function(name) {
+            if (options[name] !== undefined && typeof options[name] !== "number") {
+                throw name + " should be a number";
+            }
+        });
+
+        this.width      = options.width  || 500;
+        this.height     = options.height || 500;
+        this.margin     = options.margin !== undefined ? options.margin : 30;
+        this.startAngle = options.startAngle !== undefined ? options.startAngle : -Math.PI / 2;
+    }
+
+    CircularLayout.prototype = new sg.Layout.AbstractLayout();
+
+    /**
+     * Computes the layout and writes it in each node's *options.pos*
+     *
+     * @method run
+     * @param {sg.Graph} graph
+     * @return {sg.Layout.CircularLayout} reference to *this* layout for method chaining
+     * @chainable
+     */
+    CircularLayout.prototype.run = function(graph) {
+        if (!(graph instanceof sg.Graph)) {
+            throw "the graph param is not sg.Graph";
+        }
+
+        var nodes = graph.nodes.values();
+        var cx = this.width / 2;
+        var cy = this.height / 2;
+        var r = nodes.length > 1 ?
+                Math.max(0, Math.min(this.width, this.height) / 2 - this.margin) : 0;
+
+        nodes.forEach(function(node, i) {
+            var angle = this.startAngle + 2 * Math.PI * i / nodes.length;
+            node.options.pos = {
+                x: cx + r * Math.cos(angle),
+                y: cy + r * Math.sin(angle)
+            };
+        }, this);
+
+        return this;
+    };
+
+    window.sg.Layout.CircularLayout = CircularLayout;
+}());
@@ -0,0 +1,235 @@
+(function () {
+    "use strict";
+
+    if (typeof sg === "undefined") {
+        throw "Module SimpleGraph (sg) is not yet loaded.";
+    }
+
+    function checkGraph(graph) {
+        if (!(graph instanceof sg.Graph)) {
+            throw "the graph param is not sg.Graph";
+        }
+    }
+
+    // The end of the edge other than node; an undirected selfloop leads back to node
+    function otherEnd(edge, node) {
+        return edge.getSource() === node ? edge.getTarget() : edge.getSource();
+    }
+
+    /**
+     * The parts of a graph, found by
+     * {{#crossLink "sg.algorithms/connectedComponents"}}connectedComponents{{/crossLink}} or
+     * {{#crossLink "sg.algorithms/stronglyConnectedComponents"}}stronglyConnectedComponents{{/crossLink}}
+     *
+     * @private
+     * @class Components
+     * @constructor
+     */
+    function Components() {
+        /**
+         * The ids of the nodes of each component
+         *
+         * @property components
+         * @type Array of Array of String
+         */
+        this.components = [];
+
+        /**
+         * The index in *components* of each node's component, by the nodes' ids
+         *
+         * @property componentOf
+         * @type Object of String->Number
+         */
+        this.componentOf = {};
+    }
+
+    Components.prototype.add = function(ids) {
+        ids.forEach(function(id) {
+            this.componentOf[id] = this.components.length;
+        }, this);
+
+        this.components.push(ids);
+    };
+
+    /*
+     * Finds the components of a directed graph with Tarjan's algorithm. It finds
+     * a component only after the ones its edges lead to, so they're reversed at the end.
+     * It's not recursive, so that long paths don't overflow the call stack.
+     */
+    function tarjan(graph) {
+        var result = new Components();
+        var found = [];
+        var indices = {};
+        var lows = {};
+        var stack = [];
+        var onStack = {};
+        var calls = [];
+        var index = 0;
+
+        var enter = function(node) {
+            var id = node.getId();
+            indices[id] = lows[id] = index++;
+            stack.push(id);
+            onStack[id] = true;
+            calls.push({ node: node, edges: node.outEdges(), index: 0 });
+        };
+
+        var leave = function() {
+            var id = calls.pop().node.getId();
+            if (calls.length > 0) {
+                var parent = calls[calls.length - 1].node.getId();
+                lows[parent] = Math.min(lows[parent], lows[id]);
+            }
+
+            if (lows[id] === indices[id]) {
+                var component = stack.splice(stack.lastIndexOf(id));
+                component.forEach(function(id) {
+                    delete onStack[id];
+                });
+
+                found.push(component);
+            }
+        };
+
+        graph.nodes.forEach(function(id, root) {
+            if (indices.hasOwnProperty(id)) {
+                return;
+            }
+
+            enter(root);
+            while (calls.length > 0) {
+                var top = calls[calls.length - 1];
+                if (top.index === top.edges.length) {
+                    leave();
+                    continue;
+                }
+
+                var from = top.node.getId();
+                var to = otherEnd(top.edges[top.index++], top.node);
+                if (!indices.hasOwnProperty(to.getId())) {
+                    enter(to);
+                } else if (onStack[to.getId()]) {
+                    lows[from] = Math.min(lows[from], indices[to.getId()]);
+                }
+            }
+        });
+
+        found.reverse().forEach(result.add, result);
+        return result;
+    }
+
+    // The graph of the components, with an edge where edges go from one to another
+    function condensation(graph, result) {
+        var dag = new sg.Graph({ direction: sg.DIRECTION.DIRECTED });
+        result.components.forEach(function(ids, i) {
+            dag.addNode(new sg.Node(String(i), { nodes: ids }));
+        });
+
+        graph.edges.forEach(function(edge) {
+            var a = String(result.componentOf[edge.getSource().getId()]);
+            var b = String(result.componentOf[edge.getTarget().getId()]);
+            if (a === b) {
+                return;
+            }
+
+            var edges = dag.getEdges(a, b);
+            if (edges.length > 0) {
+                edges[0].options.edges.push(edge.getId());
+            } else {
+                dag.connect(a, b, { edges: [edge.getId()] });
+            }
+        });
+
+        return dag;
+    }
+
+    // Components of the graphs: the largest groups of nodes which are connected
+    var algorithms = {
+        /**
+         * Finds the connected components of the graph, with the directed edges followed
+         * both ways too (also called weakly connected components). The components are
+         * in the order of their first nodes in the graph.
+         *
+         * @method connectedComponents
+         * @for sg.algorithms
+         * @param {sg.Graph} graph
+         * @return {Object} { components, componentOf } with the ids of the nodes of each
+         *                  component, and each node's component by its id
+         * @example
+         *     var result = sg.algorithms.connectedComponents(graph);
+         *     if (result.components.length > 1) {
+         *         console.log("node a is in a part with", result.components[result.componentOf["a"]]);
+         *     }
+         */
+        connectedComponents: function(graph) {
+            checkGraph(graph);
+
+            var result = new Components();
+            graph.nodes.forEach(function(id, root) {
+                if (result.componentOf.hasOwnProperty(id)) {
+                    return;
+                }
+
+                var queue = [root];
+                var seen = {};
+                seen[id] = true;
+                for (var i = 0; i < queue.length; i++) {
+                    var neighbors = queue[i].neighbors();
+                    for (var j = 0; j < neighbors.length; j++) {
+                        if (!seen[neighbors[j].getId()]) {
+                            seen[neighbors[j].getId()] = true;
+                            queue.push(neighbors[j]);
+                        }
+                    }
+                }
+
+                result.add(queue.map(function(node) {
+                    return node.getId();
+                }));
+            });
+
+            return result;
+        },
+
+        /**
+         * Finds the strongly connected components of the graph: the groups of nodes where
+         * each can be reached from the others, following directed edges only from their source.
+         * The components are in topological order: an edge from a component to another
+         * never leads to an earlier one.
+         *
+         * The result has the *condensation* of the graph too, a new directed acyclic graph with
+         * a node for each component, whose id is the component's index and whose *nodes* option
+         * has the ids of its nodes, and an edge where edges go from a component to another,
+         * whose *edges* option has the ids of these edges.
+         *
+         * @method stronglyConnectedComponents
+         * @for sg.algorithms
+         * @param {sg.Graph} graph
+         * @return {Object} { components, componentOf, condensation }
+         * @example
+         *     var result = sg.algorithms.stronglyConnectedComponents(graph);
+         *     var cycles = result.components.filter(function(ids) {
+         *         return ids.length > 1;
+         *     });
+         */
+        stronglyConnectedComponents: function(graph) {
+            checkGraph(graph);
+
+            var result = tarjan(graph);
+
+            /**
+             * The graph of the components, only found by stronglyConnectedComponents
+             *
+             * @property condensation
+             * @for Components
+             * @type sg.Graph
+             */
+            result.condensation = condensation(graph, result);
+            return result;
+        }
+    };
+
+    Object.keys(algorithms).forEach(function(name) {
+        window.sg.algorithms[name] = algorithms[name];
+    });
+}());
@@ -0,0 +1,113 @@
+(function () {
+    "use strict";
+
+    if (typeof sg === "undefined") {
+        throw "Module SimpleGraph (sg) is not yet loaded.";
+    }
+
+    /**
+     * Places the nodes on concentric rings by their degree,
+     * the nodes with most edges being in the inner ring
+     *
+     * @class sg.Layout.ConcentricLayout
+     * @constructor
+     * @param {Object} [options]
+     *     @param {Number} [options.width=500] width of the area to fit the nodes in
+     *     @param {Number} [options.height=500] height of the area to fit the nodes in
+     *     @param {Number} [options.margin=30] empty space left around the outer ring
+     *     @param {Number} [options.levels=5] the max number of rings
+     */
+    function ConcentricLayout(options) {
+        if (options &&
+            Object.prototype.toString.call(options) !== "[object Object]") {
+            throw "the options parameter should be an object.";
+        }
+
+        options = options || {};
+
+        ["width", "height", "margin", "levels"].forEach(function(name) {
+            if (options[name] !== undefined && typeof options[name] !== "number") {
+                throw name + " should be a number";
+            }
+        });
+
+        this.width  = options.width  || 500;
+        this.height = options.height || 500;
+        this.margin = options.margin !== undefined ? options.margin : 30;
+        this.levels = options.levels || 5;
+    }
+
+    ConcentricLayout.prototype = new sg.Layout.AbstractLayout();
+
+    /**
+     * Computes the layout and writes it in each node's *options.pos*
+     *
+     * @method run
+     * @param {sg.Graph} graph
+     * @return {sg.Layout.ConcentricLayout} reference to *this* layout for method chaining
+     * @chainable
+     */
+    ConcentricLayout.prototype.run = function(graph) {
+        if (!(graph instanceof sg.Graph)) {
+            throw "the graph param is not sg.Graph";
+        }
+
+        var nodes = graph.nodes.values();
+        if (nodes.length === 0) {
+            return this;
+        }
+
+        // directed edges are stored only in their source node, so
+        // the degrees are counted from the graph's edges
+        var degree = {};
+        nodes.forEach(function(node) {
+            degree[node._id] = 0;
+        });
+
+        graph.edges.forEach(function(edge) {
+            degree[edge.getSource()._id]++;
+            degree[edge.getTarget()._id]++;
+        });
+
+        nodes.sort(function(a, b) {
+            return degree[b._id] - degree[a._id];
+        });
+
+        var max = degree[nodes[0]._id];
+        var min = degree[nodes[nodes.length - 1]._id];
+        var levelWidth = Math.max((max - min) / (this.levels - 1), 1);
+
+        var rings = [];
+        nodes.forEach(function(node) {
+            var level = Math.min(Math.floor((max - degree[node._id]) / levelWidth), this.levels - 1);
+            if (rings.length === 0 || rings[rings.length - 1].level !== level) {
+                rings.push({ level: level, nodes: [] });
+            }
+
+            rings[rings.length - 1].nodes.push(node);
+        }, this);
+
+        // a single node in the inner ring takes the center
+        var offset = rings[0].nodes.length === 1 ? 0 : 1;
+        var count = rings.length - 1 + offset;
+        var spacing = count > 0 ?
+                      Math.max(0, Math.min(this.width, this.height) / 2 - this.margin) / count : 0;
+        var cx = this.width / 2;
+        var cy = this.height / 2;
+
+        rings.forEach(function(ring, i) {
+            var radius = (i + offset) * spacing;
+            ring.nodes.forEach(function(node, j) {
+                var angle = -Math.PI / 2 + 2 * Math.PI * j / ring.nodes.length;
+                node.options.pos = {
+                    x: cx + radius * Math.cos(angle),
+                    y: cy + radius * Math.sin(angle)
+                };
+            });
+        });
+
+        return this;
+    };
+
+    window.sg.Layout.ConcentricLayout = ConcentricLayout;
+}());
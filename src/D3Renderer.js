@@ -9,6 +9,12 @@
         throw "Module D3 is not yet loaded.";
     }
 
+    // used for the ids of the elements, so they don't collide between renderers
+    var instances = 0;
+
+    // spreads the directions of the new nodes placed around a point
+    var GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
 	function D3Renderer(graph, options) {
         if (!(graph instanceof sg.Graph)) {
             throw "the graph param is not sg.Graph";
@@ -31,26 +37,90 @@
             throw "markerSize should be a number";
         }
 
+        if (options && options.edgeSpacing && typeof options.edgeSpacing !== "number") {
+            throw "edgeSpacing should be a number";
+        }
+
+        if (options && options.loopSize && typeof options.loopSize !== "number") {
+            throw "loopSize should be a number";
+        }
+
+        if (options && options.nodeRadius && typeof options.nodeRadius !== "number") {
+            throw "nodeRadius should be a number";
+        }
+
+        if (options && options.container &&
+            typeof options.container !== "string" &&
+            !(options.container instanceof window.Element)) {
+            throw "container should be a selector or an element";
+        }
+
+        if (options && options.scaleExtent &&
+            (!Array.isArray(options.scaleExtent) || options.scaleExtent.length !== 2)) {
+            throw "scaleExtent should be an array of 2 numbers";
+        }
+
+        if (options && options.layout &&
+            !(options.layout instanceof sg.Layout.AbstractLayout)) {
+            throw "layout should be sg.Layout.AbstractLayout";
+        }
+
         options = options || {};
 
+        var container = d3.select(options.container || "body");
+        if (container.empty()) {
+            throw "the container was not found";
+        }
+
         this.width      = options.width      || 500;
         this.height     = options.height     || 500;
         this.markerSize = options.markerSize || 10;
+        this.edgeSpacing = options.edgeSpacing || 20;
+        this.loopSize   = options.loopSize   || 30;
+        this.nodeRadius = options.nodeRadius || 10;
+        this.animate    = options.animate === true;
 
         this.graph  = graph;
-        this._calculateEdgePositions();
 
-        this.svg    = d3.select("body")
-                        .append("svg")
-                        .attr({
-                            width:  options.width  || 500,
-                            height: options.height || 500
-                        });
+        this.layout = options.layout || null;
+        this._layoutFrame = null;
+        this._transition = 0;
+        this._drawn = false;
+        this._selected = null;
+        this._dragged = null;
+
+        // redraws once per frame when the graph changes
+        var scheduled = false;
+        this._onChange = function() {
+            if (scheduled) { return; }
+            scheduled = true;
+
+            window.requestAnimationFrame(function() {
+                scheduled = false;
+                this.refresh();
+            }.bind(this));
+        }.bind(this);
+
+        if (this.layout !== null) {
+            this._setDefaultRadius();
+            this._runLayout();
+        }
+
+        this._prepareNodes();
+
+        this.id     = "sg-renderer-" + (++instances);
+        this.svg    = container.node().tagName.toLowerCase() === "svg" ?
+                      container : container.append("svg");
+
+        this.svg.attr({
+                    width:  options.width  || 500,
+                    height: options.height || 500
+                });
 
         this.svg.append("svg:defs")
                 .append("svg:marker")
                 .attr({
-                    id: "arrow",
+                    id: this.id + "-arrow",
                     viewBox: "0 0 10 10",
                     refX: 10,
                     refY: 5,
@@ -62,62 +132,489 @@
                 .append("svg:path")
                 .attr("d", "M 10 0 L 0 5 L 10 10 z");
 
-        this.edges = this.svg.append("g").attr("id", "edges");
-        this.nodes = this.svg.append("g").attr("id", "nodes");
+        this.viewport = this.svg.append("g").attr({ id: this.id + "-viewport", "class": "viewport" });
+        this.edges = this.viewport.append("g").attr({ id: this.id + "-edges", "class": "edges" });
+        this.nodes = this.viewport.append("g").attr({ id: this.id + "-nodes", "class": "nodes" });
+
+        var renderer = this;
+        this.zoom = d3.behavior.zoom()
+                      .size([this.width, this.height])
+                      .scaleExtent(options.scaleExtent || [0.1, 10])
+                      .on("zoom", function() {
+                          renderer.viewport.attr("transform",
+                              "translate(" + d3.event.translate + ")scale(" + d3.event.scale + ")");
+                      });
+
+        if (options.zoom !== false) {
+            this.svg.call(this.zoom);
+        }
     }
 
     D3Renderer.prototype = new sg.Renderer.AbstractRenderer();
     
+    D3Renderer.prototype._hasUnpositionedNodes = function() {
+        return this.graph.nodes.values().some(function(node) {
+            return node.options.pos === undefined;
+        });
+    };
+
+    D3Renderer.prototype._setDefaultRadius = function() {
+        this.graph.nodes.forEach(function(id, node) {
+            if (node.options.radius === undefined) {
+                node.options.radius = this.nodeRadius;
+            }
+        }.bind(this));
+    };
+
+    // Gives radius and position to the nodes which don't have them
+    // (e.g. the ones added after the renderer was created)
+    D3Renderer.prototype._prepareNodes = function() {
+        this._setDefaultRadius();
+
+        if (!this._hasUnpositionedNodes()) {
+            return;
+        }
+
+        // once the graph is drawn, running the whole layout again would move all the nodes
+        // (and take long) for each new one, unless the layout is animated anyway
+        var animated = this.animate && (this.layout !== null ?
+                                        typeof this.layout.step === "function" :
+                                        typeof sg.Layout.ForceLayout !== "undefined");
+        if (this._drawn && !animated) {
+            this._placeNewNodes();
+            return;
+        }
+
+        if (this.layout === null) {
+            if (typeof sg.Layout.ForceLayout === "undefined") {
+                throw "Some nodes don't have a position and ForceLayout is not loaded.";
+            }
+
+            this.layout = new sg.Layout.ForceLayout({
+                width:  this.width,
+                height: this.height
+            });
+        }
+
+        this._runLayout();
+
+        if (this._drawn && this.animate && this._layoutFrame === null &&
+            typeof this.layout.step === "function") {
+            this._animateLayout();
+        }
+    };
+
+    // Places each node without a position next to its neighbors which have one
+    // (in the middle of them), or in the middle of the SVG if they have none
+    D3Renderer.prototype._placeNewNodes = function() {
+        var placed = 0;
+        this.graph.nodes.forEach(function(id, node) {
+            if (node.options.pos !== undefined) {
+                return;
+            }
+
+            var neighbors = node.neighbors().filter(function(neighbor) {
+                return neighbor.options.pos !== undefined;
+            });
+
+            var x = this.width / 2;
+            var y = this.height / 2;
+            if (neighbors.length > 0) {
+                x = d3.mean(neighbors, function(neighbor) { return neighbor.options.pos.x; });
+                y = d3.mean(neighbors, function(neighbor) { return neighbor.options.pos.y; });
+            }
+
+            // moved away a bit, in a different direction for each node, so they don't overlap
+            var r = 3 * node.options.radius;
+            var angle = placed * GOLDEN_ANGLE;
+            node.options.pos = {
+                x: x + r * Math.cos(angle),
+                y: y + r * Math.sin(angle)
+            };
+
+            placed++;
+        }.bind(this));
+    };
+
+    D3Renderer.prototype._runLayout = function() {
+        if (this.animate && typeof this.layout.start === "function") {
+            this.layout.start(this.graph);
+        } else {
+            this.layout.run(this.graph);
+        }
+    };
+
+    D3Renderer.prototype._animateLayout = function() {
+        var renderer = this;
+        var tick = function() {
+            var running = renderer.layout.step();
+            renderer._layoutFrame = running ? window.requestAnimationFrame(tick) : null;
+            renderer.refresh();
+        };
+
+        this._layoutFrame = window.requestAnimationFrame(tick);
+    };
+
+    D3Renderer.prototype.startLayout = function() {
+        if (this.layout === null) {
+            throw "The renderer has no layout.";
+        }
+
+        this.stopLayout();
+        if (typeof this.layout.step !== "function") {
+            this.layout.run(this.graph);
+            this.refresh();
+            return;
+        }
+
+        this.layout.start(this.graph);
+        this._animateLayout();
+    };
+
+    D3Renderer.prototype.stopLayout = function() {
+        if (this._layoutFrame) {
+            window.cancelAnimationFrame(this._layoutFrame);
+        }
+
+        this._layoutFrame = null;
+        this._transition++;
+    };
+
+    D3Renderer.prototype.setLayout = function(layout, duration) {
+        if (!(layout instanceof sg.Layout.AbstractLayout)) {
+            throw "layout should be sg.Layout.AbstractLayout";
+        }
+
+        if (duration !== undefined && typeof duration !== "number") {
+            throw "duration should be a number";
+        }
+
+        this.stopLayout();
+        this.layout = layout;
+
+        if (this.animate && typeof layout.step === "function") {
+            this.startLayout();
+            return this;
+        }
+
+        var from = {};
+        this.graph.nodes.forEach(function(id, node) {
+            if (node.options.pos !== undefined) {
+                from[id] = { x: node.options.pos.x, y: node.options.pos.y };
+            }
+        });
+
+        layout.run(this.graph);
+
+        var to = {};
+        this.graph.nodes.forEach(function(id, node) {
+            to[id] = { x: node.options.pos.x, y: node.options.pos.y };
+        });
+
+        this._moveNodes(from, to, duration === undefined ? 750 : duration);
+        return this;
+    };
+
+    D3Renderer.prototype._moveNodes = function(from, to, duration) {
+        var renderer = this;
+        var transition = this._transition;
+        var ease = d3.ease("cubic-in-out");
+
+        var frame = function(elapsed) {
+            if (transition !== renderer._transition) {
+                return true;
+            }
+
+            var t = duration > 0 ? ease(Math.min(1, elapsed / duration)) : 1;
+            renderer.graph.nodes.forEach(function(id, node) {
+                if (from[id] === undefined || to[id] === undefined) {
+                    return;
+                }
+
+                node.options.pos.x = from[id].x + (to[id].x - from[id].x) * t;
+                node.options.pos.y = from[id].y + (to[id].y - from[id].y) * t;
+            });
+
+            renderer.refresh();
+
+            return t === 1;
+        };
+
+        frame(0);
+        d3.timer(frame);
+    };
+
+    D3Renderer.prototype._zoomTransform = function(translate, scale, duration) {
+        var extent = this.zoom.scaleExtent();
+        scale = Math.max(extent[0], Math.min(extent[1], scale));
+
+        this.zoom.translate(translate).scale(scale);
+
+        if (duration > 0) {
+            this.svg.transition().duration(duration).call(this.zoom.event);
+        } else {
+            this.svg.call(this.zoom.event);
+        }
+
+        return this;
+    };
+
+    D3Renderer.prototype.zoomTo = function(node, scale, duration) {
+        var id = node instanceof sg.Node ? node._id : node;
+        node = this.graph.getNode(id);
+        if (node === undefined) {
+            throw "Node \"" + id + "\" isn't in the graph.";
+        }
+
+        scale = scale || this.zoom.scale();
+        return this._zoomTransform([
+            this.width  / 2 - node.options.pos.x * scale,
+            this.height / 2 - node.options.pos.y * scale
+        ], scale, duration === undefined ? 750 : duration);
+    };
+
+    D3Renderer.prototype.fitToView = function(padding, duration) {
+        padding = padding === undefined ? 20 : padding;
+
+        var nodes = this.graph.nodes.values();
+        if (nodes.length === 0) {
+            return this;
+        }
+
+        var minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        nodes.forEach(function(node) {
+            var pos = node.options.pos;
+            var r = node.options.radius;
+            minX = Math.min(minX, pos.x - r);
+            minY = Math.min(minY, pos.y - r);
+            maxX = Math.max(maxX, pos.x + r);
+            maxY = Math.max(maxY, pos.y + r);
+        });
+
+        var extent = this.zoom.scaleExtent();
+        var scale = Math.min((this.width  - 2 * padding) / Math.max(maxX - minX, 1),
+                             (this.height - 2 * padding) / Math.max(maxY - minY, 1));
+        scale = Math.max(extent[0], Math.min(extent[1], scale));
+
+        return this._zoomTransform([
+            this.width  / 2 - (minX + maxX) / 2 * scale,
+            this.height / 2 - (minY + maxY) / 2 * scale
+        ], scale, duration === undefined ? 750 : duration);
+    };
+
     D3Renderer.prototype._calculateEdgePositions = function() {
+        // group the edges between the same two nodes (in either direction),
+        // so the parallel ones can be spread around the straight line.
+        // Self-loops are grouped by their node and fanned out around it
+        var bundles = {};
+        var loops = {};
         this.graph.edges.forEach(function(edge) {
-            var source = edge.getSource();
-            var target = edge.getTarget();
-            var x = 0;
-            var y = 0;
+            var a = edge.getSource()._id;
+            var b = edge.getTarget()._id;
 
-            if (edge.directed()) {
-                var sx = source.options.pos.x;
-                var sy = source.options.pos.y;
-                var tx = target.options.pos.x;
-                var ty = target.options.pos.y;
+            if (a === b) {
+                loops[a] = loops[a] || [];
+                loops[a].push(edge);
+                return;
+            }
 
-                x = tx - sx;
-                y = ty - sy;
+            var key = a < b ? a + "\u0000" + b : b + "\u0000" + a;
+
+            bundles[key] = bundles[key] || [];
+            bundles[key].push(edge);
+        });
+
+        Object.keys(bundles).forEach(function(key) {
+            var bundle = bundles[key];
+            bundle.forEach(function(edge, i) {
+                var offset = (i - (bundle.length - 1) / 2) * this.edgeSpacing;
+                this._calculateEdgePosition(edge, offset);
+            }, this);
+        }, this);
+
+        Object.keys(loops).forEach(function(id) {
+            var bundle = loops[id];
+            var step = Math.min(Math.PI / 2, 2 * Math.PI / bundle.length);
+            bundle.forEach(function(edge, i) {
+                // the first loop sits on top of the node, the rest alternate around it
+                var angle = -Math.PI / 2 + (i - (bundle.length - 1) / 2) * step;
+                this._calculateLoopPosition(edge, angle, step / 2);
+            }, this);
+        }, this);
+    };
 
-                var ratio = (this.markerSize+target.options.radius)/Math.sqrt(x*x + y*y);
+    D3Renderer.prototype._calculateEdgePosition = function(edge, offset) {
+        var source = edge.getSource();
+        var target = edge.getTarget();
+        var sx = source.options.pos.x;
+        var sy = source.options.pos.y;
+        var tx = target.options.pos.x;
+        var ty = target.options.pos.y;
+        var dx = tx - sx;
+        var dy = ty - sy;
+        var length = Math.sqrt(dx*dx + dy*dy);
+
+        // the control point of the curve. The normal is taken from the node
+        // with the smaller id, so edges a->b and b->a bend to different sides.
+        // The curve's apex is half way to the control point, hence the 2
+        var cx = (sx + tx) / 2;
+        var cy = (sy + ty) / 2;
+        var curved = offset !== 0 && length > 0;
+        if (curved) {
+            var bend = (source._id < target._id ? 2 : -2) * offset / length;
+            cx -= dy * bend;
+            cy += dx * bend;
+        }
 
-                if (window.isFinite(ratio)) {
-                    x *= ratio;
-                    y *= ratio;
-                }
+        var x = 0;
+        var y = 0;
+
+        if (edge.directed()) {
+            // the arrow follows the curve's tangent at the target,
+            // which points from the control point to the target
+            x = tx - cx;
+            y = ty - cy;
+
+            var ratio = (this.markerSize+target.options.radius)/Math.sqrt(x*x + y*y);
+
+            if (window.isFinite(ratio)) {
+                x *= ratio;
+                y *= ratio;
             }
+        }
 
-            edge.options.x1 = target.options.pos.x - x;
-            edge.options.y1 = target.options.pos.y - y;
-            edge.options.x2 = source.options.pos.x;
-            edge.options.y2 = source.options.pos.y;
-        }.bind(this));
+        edge.options.x1 = tx - x;
+        edge.options.y1 = ty - y;
+        edge.options.x2 = sx;
+        edge.options.y2 = sy;
+        edge.options.cx = curved ? cx : undefined;
+        edge.options.cy = curved ? cy : undefined;
+        edge.options.cx2 = undefined;
+        edge.options.cy2 = undefined;
+    };
+
+    D3Renderer.prototype._calculateLoopPosition = function(edge, angle, spread) {
+        var node = edge.getSource();
+        var x = node.options.pos.x;
+        var y = node.options.pos.y;
+        var r = node.options.radius;
+        var distance = r + this.loopSize * 1.5;
+
+        var point = function(length, angle) {
+            return {
+                x: x + length * Math.cos(angle),
+                y: y + length * Math.sin(angle)
+            };
+        };
+
+        // a cubic curve leaving and entering the node's circle around angle
+        var start = point(r, angle - spread / 2);
+        var end   = point(r, angle + spread / 2);
+        var c1    = point(distance, angle - spread);
+        var c2    = point(distance, angle + spread);
+
+        if (edge.directed()) {
+            // move the start away from the circle, so the arrow touches it
+            var dx = c1.x - start.x;
+            var dy = c1.y - start.y;
+            var ratio = this.markerSize/Math.sqrt(dx*dx + dy*dy);
+
+            start.x += dx * ratio;
+            start.y += dy * ratio;
+        }
+
+        edge.options.x1 = start.x;
+        edge.options.y1 = start.y;
+        edge.options.x2 = end.x;
+        edge.options.y2 = end.y;
+        edge.options.cx = c1.x;
+        edge.options.cy = c1.y;
+        edge.options.cx2 = c2.x;
+        edge.options.cy2 = c2.y;
+    };
+
+    D3Renderer.prototype._edgePath = function(edge) {
+        var o = edge.options;
+
+        if (o.cx === undefined) {
+            return ["M", o.x1, o.y1, "L", o.x2, o.y2].join(" ");
+        }
+
+        if (o.cx2 === undefined) {
+            return ["M", o.x1, o.y1, "Q", o.cx, o.cy, o.x2, o.y2].join(" ");
+        }
+
+        return ["M", o.x1, o.y1, "C", o.cx, o.cy, o.cx2, o.cy2, o.x2, o.y2].join(" ");
+    };
+
+    D3Renderer.prototype._select = function(element) {
+        if (this._selected !== null) {
+            this._selected.attr("class", "");
+        }
+
+        this._selected = element.attr("class", "selected");
     };
 
     D3Renderer.prototype.refresh = function() {
-        this.edges.selectAll("path")
-                .attr("d", function(edge) {
-                    return ["M ",
-                            edge.options.x1,
-                            " ",
-                            edge.options.y1,
-                            " L ",
-                            edge.options.x2,
-                            " ",
-                            edge.options.y2,
-                            " z"].join("");
+        var renderer = this;
+        var arrow = "url(#" + this.id + "-arrow)";
+
+        this._prepareNodes();
+        this._calculateEdgePositions();
+
+        var edges = this.edges.selectAll("path")
+                .data(this.graph.edges.toArray(), function(edge) {
+                    return edge.getId();
+                });
+
+        edges.enter()
+                .append("svg:path")
+                .on("mousedown", function() {
+                    renderer._select(d3.select(this));
                 })
+                .on("dragstart", function() {
+                    d3.event.preventDefault();
+                });
+
+        edges.exit().remove();
+
+        edges.attr("d", this._edgePath.bind(this))
                 .attr("marker-start", function(edge) {
-                    return edge.directed() ? "url(#arrow)" : "none";
+                    return edge.directed() ? arrow : "none";
                 });
 
-        this.nodes.selectAll("circle")
-                .attr("cx", function(node) {
+        var nodes = this.nodes.selectAll("circle")
+                .data(this.graph.nodes.values(), function(node) {
+                    return node._id;
+                });
+
+        nodes.enter()
+                .append("svg:circle")
+                .on("mousedown", function(node) {
+                    renderer._select(d3.select(this));
+
+                    // dragging a node shouldn't pan the graph
+                    d3.event.stopPropagation();
+
+                    // the node is moved in a copy of its position, which is set
+                    // with node.option when the drag ends (see draw)
+                    var mouse = d3.mouse(renderer.viewport.node());
+                    var start = node.options.pos;
+                    node.options.pos = { x: start.x, y: start.y };
+                    renderer._dragged = {
+                        node: node,
+                        start: start,
+                        deltaX: start.x - mouse[0],
+                        deltaY: start.y - mouse[1]
+                    };
+                })
+                .on("dragstart", function() {
+                    d3.event.preventDefault();
+                });
+
+        nodes.exit().remove();
+
+        nodes.attr("cx", function(node) {
                     return node.options.pos.x;
                 })
                 .attr("cy", function(node) {
@@ -127,73 +624,64 @@
                     var stroke = Math.ceil(window.parseInt(d3.select(this).style("stroke-width"))/2);
                     return node.options.radius-stroke;
                 });
+
+        // the selected element may have been removed from the graph
+        if (this._selected !== null && this._selected.node().parentNode === null) {
+            this._selected = null;
+        }
+
+        if (this._dragged !== null && this._dragged.node._graph !== this.graph) {
+            this._dragged = null;
+        }
     };
 
     D3Renderer.prototype.draw = function() {
         var renderer = this;
-        var selected = null;
 
-        this.edges.selectAll("path")
-                .data(this.graph.edges.toArray())
-                .enter()
-                .append("svg:path")
-                .on("mousedown", function(edge) {
-                    if (selected !== null) {
-                        selected.attr("class", "");
-                    }
-
-                    selected = d3.select(this).attr("class", "selected");
-                })
-                .on("dragstart", function() {
-                    d3.event.preventDefault();
-                });
-
-        var mousedown = false;
-        var startX = 0;
-        var startY = 0;
-        var deltaX = 0;
-        var deltaY = 0;
         this.svg.on("mouseup", function() {
-                    mousedown = false;
-                    startX = startY = 0;
+                    var dragged = renderer._dragged;
+                    if (dragged === null) { return; }
+                    renderer._dragged = null;
+
+                    // fire a single optionsChanged for the whole drag
+                    var node = dragged.node;
+                    var end = node.options.pos;
+                    node.options.pos = dragged.start;
+                    if (end.x !== dragged.start.x || end.y !== dragged.start.y) {
+                        node.option("pos", end);
+                    }
                 })
                 .on("mousemove", function() {
-                    if (mousedown === false || selected === null) { return; }
-                    var node = selected.data()[0];
+                    var dragged = renderer._dragged;
+                    if (dragged === null) { return; }
                     d3.event.preventDefault();
-                    if (!(node instanceof sg.Node)) { return; }
 
-                    var rect = renderer.svg.node().getBoundingClientRect();
-                    node.options.pos.x = (d3.event.clientX - rect.left) + deltaX;
-                    node.options.pos.y = (d3.event.clientY - rect.top)  + deltaY;
-
-                    renderer._calculateEdgePositions();
+                    // the mouse position in the zoomed and panned coordinates
+                    var mouse = d3.mouse(renderer.viewport.node());
+                    dragged.node.options.pos.x = mouse[0] + dragged.deltaX;
+                    dragged.node.options.pos.y = mouse[1] + dragged.deltaY;
 
                     window.requestAnimationFrame(renderer.refresh.bind(renderer));
                 });
 
-        this.nodes.selectAll("circle")
-                .data(this.graph.nodes.values())
-                .enter()
-                .append("svg:circle")
-                .on("mousedown", function(node) {
-                    if (selected) {
-                        selected.attr("class", "");
-                    }
-
-                    selected = d3.select(this).attr("class", "selected");
+        // drawing again doesn't add another handler
+        this.graph.off("change", this._onChange);
+        this.graph.on("change", this._onChange);
 
-                    mousedown = true;
+        this._drawn = true;
+        this.refresh();
 
-                    var rect = renderer.svg.node().getBoundingClientRect();
-                    deltaX = node.options.pos.x - (d3.event.clientX - rect.left);
-                    deltaY = node.options.pos.y - (d3.event.clientY - rect.top);
-                })
-                .on("dragstart", function() {
-                    d3.event.preventDefault();
-                });
+        if (this.animate && this.layout !== null) {
+            this.startLayout();
+        }
+    };
 
-        this.refresh();
+    // Stops following the graph's changes and the layout, so the renderer can be dropped.
+    // The drawing stays as it is.
+    D3Renderer.prototype.destroy = function() {
+        this.stopLayout();
+        this.graph.off("change", this._onChange);
+        this._drawn = false;
     };
 
     window.sg.Renderer.D3Renderer = D3Renderer;
@@ -0,0 +1,623 @@
+(function () {
+    "use strict";
+
+    if (typeof sg === "undefined") {
+        throw "Module SimpleGraph (sg) is not yet loaded.";
+    }
+
+    if (typeof sg.io === "undefined") {
+        throw "Module sg.io (src/io.js) is not yet loaded.";
+    }
+
+    var KEYWORDS = ["strict", "graph", "digraph", "node", "edge", "subgraph"];
+
+    // the options which are not written as attributes, since the graph keeps them
+    // itself or the renderer computes them
+    var SKIPPED = {
+        graph: ["direction", "multigraph", "selfloops", "override"],
+        node:  ["pos"],
+        edge:  ["directed", "x1", "y1", "x2", "y2", "cx", "cy", "cx2", "cy2"]
+    };
+
+    var NUMERAL = /^-?(\.[0-9]+|[0-9]+(\.[0-9]*)?)$/;
+    var IDENTIFIER = /^[a-zA-Z_\u0080-\uffff][a-zA-Z_0-9\u0080-\uffff]*$/;
+
+    function invalid(message, token) {
+        return "Invalid DOT: " + message + (token ? " at line " + token.line + "." : ".");
+    }
+
+    /**
+     * Splits a DOT document in tokens: { type, value, line }, where type is
+     * "id" (with *quoted* true for strings), "edgeop" or the punctuation itself
+     *
+     * @private
+     * @method tokenize
+     * @param {String} text
+     * @return {Array of Object}
+     */
+    function tokenize(text) {
+        var tokens = [];
+        var line = 1;
+        var i = 0;
+
+        var push = function(type, value, quoted) {
+            tokens.push({ type: type, value: value, quoted: quoted === true, line: line });
+        };
+
+        while (i < text.length) {
+            var c = text.charAt(i);
+            var rest = text.substr(i, 2);
+            var end;
+
+            if (c === "\n") {
+                line++;
+                i++;
+            } else if (/\s/.test(c)) {
+                i++;
+            } else if (rest === "//" || (c === "#" &&
+                       /^[ \t]*$/.test(text.substring(text.lastIndexOf("\n", i) + 1, i)))) {
+                end = text.indexOf("\n", i);
+                i = end === -1 ? text.length : end;
+            } else if (rest === "/*") {
+                end = text.indexOf("*/", i + 2);
+                if (end === -1) {
+                    throw invalid("unterminated comment", { line: line });
+                }
+
+                line += text.substring(i, end).split("\n").length - 1;
+                i = end + 2;
+            } else if (rest === "--" || rest === "->") {
+                push("edgeop", rest);
+                i += 2;
+            } else if ("{}[];,=:".indexOf(c) !== -1) {
+                push(c, c);
+                i++;
+            } else if (c === "\"") {
+                var value = "";
+                var start = line;
+                i++;
+                while (i < text.length && text.charAt(i) !== "\"") {
+                    if (text.charAt(i) === "\\" && text.charAt(i + 1) === "\"") {
+                        value += "\"";
+                        i += 2;
+                    } else if (text.charAt(i) === "\\" && text.charAt(i + 1) === "\n") {
+                        // an escaped newline continues the string
+                        line++;
+                        i += 2;
+                    } else {
+                        if (text.charAt(i) === "\n") {
+                            line++;
+                        }
+
+                        value += text.charAt(i);
+                        i++;
+                    }
+                }
+
+                if (i >= text.length) {
+                    throw invalid("unterminated string", { line: start });
+                }
+
+                i++;
+
+                // "a" + "b" is the string "ab"
+                var previous = tokens[tokens.length - 1];
+                if (previous && previous.type === "+") {
+                    tokens.pop();
+                    tokens[tokens.length - 1].value += value;
+                } else {
+                    push("id", value, true);
+                }
+            } else if (c === "+") {
+                push("+", c);
+                i++;
+            } else if (c === "<") {
+                // HTML strings, kept with their tags
+                var depth = 0;
+                end = i;
+                do {
+                    if (text.charAt(end) === "<") { depth++; }
+                    if (text.charAt(end) === ">") { depth--; }
+                    if (text.charAt(end) === "\n") { line++; }
+                    end++;
+                } while (depth > 0 && end < text.length);
+
+                if (depth > 0) {
+                    throw invalid("unterminated HTML string", { line: line });
+                }
+
+                push("id", text.substring(i + 1, end - 1), true);
+                i = end;
+            } else {
+                var match = /^(-?(\.[0-9]+|[0-9]+(\.[0-9]*)?)|[a-zA-Z_0-9\u0080-\uffff]+)/
+                            .exec(text.substring(i));
+                if (match === null) {
+                    throw invalid("unexpected character '" + c + "'", { line: line });
+                }
+
+                push("id", match[0]);
+                i += match[0].length;
+            }
+        }
+
+        return tokens;
+    }
+
+    // Converts an attribute's value: unquoted numerals are numbers and pos is { x, y }
+    function value(key, token) {
+        if (key === "pos") {
+            var coordinates = String(token.value).replace(/!$/, "").split(",");
+            if (coordinates.length >= 2) {
+                return { x: parseFloat(coordinates[0]), y: parseFloat(coordinates[1]) };
+            }
+        }
+
+        return !token.quoted && NUMERAL.test(token.value) ? parseFloat(token.value) : token.value;
+    }
+
+    function copy(object) {
+        var result = {};
+        Object.keys(object).forEach(function(key) {
+            result[key] = object[key];
+        });
+        return result;
+    }
+
+    // A recursive descent parser for the DOT grammar
+    // (http://www.graphviz.org/content/dot-language). The scope of the statements
+    // is { node, edge, group, root }: the default attributes, the name of the subgraph
+    // and whether they are the graph's own statements.
+    function Parser(tokens, options) {
+        this.tokens = tokens;
+        this.index = 0;
+        this.groups = options.groups === true;
+
+        this.nodes = {};
+        this.order = [];
+        this.edges = [];
+        this.attributes = {};
+    }
+
+    Parser.prototype.peek = function(offset) {
+        return this.tokens[this.index + (offset || 0)];
+    };
+
+    Parser.prototype.keyword = function(token, keyword) {
+        return token !== undefined && token.type === "id" && !token.quoted &&
+               String(token.value).toLowerCase() === keyword;
+    };
+
+    Parser.prototype.next = function(type) {
+        var token = this.tokens[this.index];
+        if (token === undefined) {
+            throw invalid("unexpected end of the document");
+        }
+
+        if (type !== undefined && token.type !== type) {
+            throw invalid("expected " + (type === "id" ? "an id" : "'" + type + "'") +
+                          " instead of '" + token.value + "'", token);
+        }
+
+        this.index++;
+        return token;
+    };
+
+    Parser.prototype.parse = function() {
+        if (this.keyword(this.peek(), "strict")) {
+            this.next();
+            this.strict = true;
+        }
+
+        var token = this.next("id");
+        if (!this.keyword(token, "graph") && !this.keyword(token, "digraph")) {
+            throw invalid("expected 'graph' or 'digraph'", token);
+        }
+
+        this.directed = this.keyword(token, "digraph");
+
+        if (this.peek() !== undefined && this.peek().type === "id") {
+            this.name = this.next().value;
+        }
+
+        this.next("{");
+        this.statements({ node: {}, edge: {}, group: undefined, root: true }, []);
+        this.next("}");
+
+        if (this.peek() !== undefined) {
+            throw invalid("unexpected '" + this.peek().value + "' after the graph", this.peek());
+        }
+    };
+
+    // Parses statements until '}', adding the ids of the nodes in them to members
+    Parser.prototype.statements = function(scope, members) {
+        while (this.peek() !== undefined && this.peek().type !== "}") {
+            this.statement(scope, members);
+
+            if (this.peek() !== undefined && this.peek().type === ";") {
+                this.next();
+            }
+        }
+    };
+
+    Parser.prototype.statement = function(scope, members) {
+        var token = this.peek();
+
+        if (token.type === "id" && !token.quoted &&
+            ["graph", "node", "edge"].indexOf(String(token.value).toLowerCase()) !== -1) {
+            this.next();
+            var attributes = this.attributeLists();
+            var kind = String(token.value).toLowerCase();
+
+            // the attributes of the subgraphs are ignored
+            if (kind === "graph") {
+                if (scope.root) {
+                    this.setAttributes(this.attributes, attributes);
+                }
+            } else {
+                this.setAttributes(scope[kind], attributes);
+            }
+            return;
+        }
+
+        if (token.type === "id" && this.peek(1) !== undefined && this.peek(1).type === "=") {
+            this.next();
+            this.next();
+            var v = this.next("id");
+            if (scope.root) {
+                this.attributes[token.value] = value(token.value, v);
+            }
+            return;
+        }
+
+        var operands = [this.operand(scope, members)];
+        var ops = [];
+        while (this.peek() !== undefined && this.peek().type === "edgeop") {
+            ops.push(this.next());
+            operands.push(this.operand(scope, members));
+        }
+
+        var list = this.attributeLists();
+
+        if (ops.length === 0) {
+            // a node statement, its attributes are set on the node
+            if (operands[0].node !== undefined) {
+                this.setAttributes(this.nodes[operands[0].node], list);
+            }
+            return;
+        }
+
+        for (var i = 0; i < ops.length; i++) {
+            if ((ops[i].value === "->") !== this.directed) {
+                throw invalid("'" + ops[i].value + "' in a " +
+                              (this.directed ? "digraph" : "graph"), ops[i]);
+            }
+
+            this.connect(operands[i].ids, operands[i + 1].ids, scope, list);
+        }
+    };
+
+    // A node id or a subgraph: { ids, node } where node is set for a single node
+    Parser.prototype.operand = function(scope, members) {
+        var token = this.peek();
+
+        if (token.type === "{" || this.keyword(token, "subgraph")) {
+            var ids = this.subgraph(scope);
+            ids.forEach(function(id) {
+                members.push(id);
+            });
+
+            return { ids: ids };
+        }
+
+        var id = String(this.next("id").value);
+
+        // the port is ignored
+        if (this.peek() !== undefined && this.peek().type === ":") {
+            this.next();
+            this.next("id");
+            if (this.peek() !== undefined && this.peek().type === ":") {
+                this.next();
+                this.next("id");
+            }
+        }
+
+        this.addNode(id, scope);
+        members.push(id);
+        return { ids: [id], node: id };
+    };
+
+    Parser.prototype.subgraph = function(scope) {
+        var group = scope.group;
+
+        if (this.keyword(this.peek(), "subgraph")) {
+            this.next();
+            if (this.peek().type === "id") {
+                group = String(this.next().value);
+            }
+        }
+
+        var inner = {
+            node: copy(scope.node),
+            edge: copy(scope.edge),
+            group: group,
+            root: false
+        };
+
+        var members = [];
+
+        this.next("{");
+        this.statements(inner, members);
+        this.next("}");
+
+        return members.filter(function(id, i) {
+            return members.indexOf(id) === i;
+        });
+    };
+
+    Parser.prototype.addNode = function(id, scope) {
+        if (this.nodes[id] === undefined) {
+            this.nodes[id] = copy(scope.node);
+            this.order.push(id);
+
+            if (this.groups && scope.group !== undefined) {
+                this.nodes[id].group = scope.group;
+            }
+        }
+    };
+
+    Parser.prototype.connect = function(sources, targets, scope, list) {
+        sources.forEach(function(source) {
+            targets.forEach(function(target) {
+                var options = copy(scope.edge);
+                this.setAttributes(options, list);
+                this.edges.push({ source: source, target: target, options: options });
+            }, this);
+        }, this);
+    };
+
+    Parser.prototype.attributeLists = function() {
+        var attributes = [];
+
+        while (this.peek() !== undefined && this.peek().type === "[") {
+            this.next();
+            while (this.peek() !== undefined && this.peek().type !== "]") {
+                var key = this.next("id");
+                var v = { value: true, quoted: true };
+                if (this.peek() !== undefined && this.peek().type === "=") {
+                    this.next();
+                    v = this.next("id");
+                }
+
+                attributes.push({ key: String(key.value), value: v });
+
+                if (this.peek() !== undefined &&
+                    (this.peek().type === "," || this.peek().type === ";")) {
+                    this.next();
+                }
+            }
+            this.next("]");
+        }
+
+        return attributes;
+    };
+
+    Parser.prototype.setAttributes = function(options, attributes) {
+        attributes.forEach(function(attribute) {
+            options[attribute.key] = value(attribute.key, attribute.value);
+        });
+    };
+
+    // Makes the graph from the parsed statements
+    Parser.prototype.graph = function() {
+        var edges = [];
+        var byPair = {};
+
+        this.edges.forEach(function(edge) {
+            var dir = edge.options.dir;
+            var directed = this.directed ? dir !== "none" && dir !== "both" :
+                                           dir === "forward" || dir === "back";
+
+            // an arrow at the source is an edge from the target
+            if (dir === "back") {
+                var source = edge.source;
+                edge.source = edge.target;
+                edge.target = source;
+            }
+
+            if (dir !== undefined) {
+                delete edge.options.dir;
+            }
+
+            edge.directed = directed;
+
+            var pair = edge.source + "\u0000" + edge.target;
+            var reverse = edge.target + "\u0000" + edge.source;
+            var parallel = byPair[pair] !== undefined ? byPair[pair] :
+                           byPair[reverse] !== undefined &&
+                           (!byPair[reverse].directed || !directed) ? byPair[reverse] : undefined;
+
+            if (parallel !== undefined && this.strict) {
+                // strict graphs merge the parallel edges
+                Object.keys(edge.options).forEach(function(key) {
+                    parallel.options[key] = edge.options[key];
+                });
+                return;
+            }
+
+            byPair[pair] = byPair[pair] || edge;
+            edges.push(edge);
+        }, this);
+
+        var options = copy(this.attributes);
+        if (this.name !== undefined) {
+            options.name = this.name;
+        }
+
+        return sg.io.build({
+            options: options,
+            nodes: this.order.map(function(id) {
+                return { id: id, options: this.nodes[id] };
+            }, this),
+            edges: edges,
+            directed: this.directed
+        }, invalid);
+    };
+
+    // Quotes an id or a value, unless it's a plain identifier or a number
+    function quote(v) {
+        if (typeof v === "number") {
+            return String(v);
+        }
+
+        v = String(v);
+        if (IDENTIFIER.test(v) && KEYWORDS.indexOf(v.toLowerCase()) === -1) {
+            return v;
+        }
+
+        // DOT only escapes the quotes, and the newlines are kept. A backslash before a newline
+        // or at the end would escape them, so it's followed by an escaped newline, which is skipped.
+        return "\"" + v.replace(/\\(?=\n|$)/g, "\\\\\n").replace(/"/g, "\\\"") + "\"";
+    }
+
+    // The attribute list of some options, with only the string, number and boolean values
+    function attributeList(options, skipped, extra) {
+        var attributes = Object.keys(options).filter(function(key) {
+            var type = typeof options[key];
+            return skipped.indexOf(key) === -1 &&
+                   (type === "string" || type === "number" || type === "boolean");
+        }).map(function(key) {
+            return quote(key) + "=" + quote(options[key]);
+        }).concat(extra || []);
+
+        return attributes.length > 0 ? " [" + attributes.join(", ") + "]" : "";
+    }
+
+    /**
+     * Reads and writes graphs in the Graphviz DOT language
+     * (http://www.graphviz.org/content/dot-language).
+     * The attributes of the graph, the nodes and the edges are read into their options,
+     * unquoted numbers as numbers, and *pos* ("x,y") as { x, y }. The *id* attribute
+     * of an edge is its id.
+     *
+     * @class sg.io.DOT
+     * @static
+     */
+    var DOT = {
+        /**
+         * Makes a graph from a DOT document. A *digraph* is directed, unless some edges
+         * have *dir=none* (or *both*), then it's mixed. A *graph* is undirected, unless
+         * some edges have *dir=forward* (or *back*). It's a multigraph, or allows selfloops,
+         * only if the document has parallel edges, or selfloops. The parallel edges
+         * of a *strict* graph are merged. Ports are ignored.
+         *
+         * @method read
+         * @param {String} text the DOT document
+         * @param {Object} [options]
+         *     @param {Boolean} [options.groups=false] if true, the nodes of a named subgraph
+         *                                             get its name in *options.group*.
+         *                                             Otherwise the subgraphs are only flattened.
+         * @return {sg.Graph}
+         */
+        read: function(text, options) {
+            if (typeof text !== "string") {
+                throw "text should be a string.";
+            }
+
+            if (options &&
+                Object.prototype.toString.call(options) !== "[object Object]") {
+                throw "the options parameter should be an object.";
+            }
+
+            var parser = new Parser(tokenize(text), options || {});
+            parser.parse();
+            return parser.graph();
+        },
+
+        /**
+         * Writes a graph as a DOT document. A mixed graph is written as a *digraph*,
+         * with *dir=none* for its undirected edges. The options which are strings,
+         * numbers or booleans, the nodes' *pos* and the edges' ids are written as attributes.
+         *
+         * @method write
+         * @param {sg.Graph} graph
+         * @param {Object} [options]
+         *     @param {Boolean} [options.groups=false] if true, the nodes are put in subgraphs
+         *                                             named by their *options.group*
+         * @return {String} the DOT document
+         */
+        write: function(graph, options) {
+            if (!(graph instanceof sg.Graph)) {
+                throw "the graph param is not sg.Graph";
+            }
+
+            if (options &&
+                Object.prototype.toString.call(options) !== "[object Object]") {
+                throw "the options parameter should be an object.";
+            }
+
+            var groups = options !== undefined && options.groups === true;
+            var directed = graph.direction() !== sg.DIRECTION.UNDIRECTED;
+            var lines = [(graph.multigraph() ? "" : "strict ") +
+                         (directed ? "digraph" : "graph") +
+                         (graph.options.name !== undefined ? " " + quote(graph.options.name) : "") +
+                         " {"];
+
+            var skipped = SKIPPED.graph.concat(["name"]);
+            Object.keys(graph.options).forEach(function(key) {
+                var type = typeof graph.options[key];
+                if (skipped.indexOf(key) === -1 &&
+                    (type === "string" || type === "number" || type === "boolean")) {
+                    lines.push("    " + quote(key) + "=" + quote(graph.options[key]) + ";");
+                }
+            });
+
+            var node = function(n, indent) {
+                var pos = n.options.pos;
+                var skip = groups ? SKIPPED.node.concat(["group"]) : SKIPPED.node;
+                lines.push(indent + quote(n.getId()) + attributeList(n.options, skip,
+                           pos !== undefined && pos !== null ?
+                           ["pos=\"" + pos.x + "," + pos.y + "\""] : []) + ";");
+            };
+
+            var grouped = {};
+            var names = [];
+            graph.nodes.values().forEach(function(n) {
+                var group = n.options.group;
+                if (!groups || group === undefined || group === null) {
+                    node(n, "    ");
+                    return;
+                }
+
+                if (grouped[group] === undefined) {
+                    grouped[group] = [];
+                    names.push(group);
+                }
+
+                grouped[group].push(n);
+            });
+
+            names.forEach(function(name) {
+                lines.push("    subgraph " + quote(name) + " {");
+                grouped[name].forEach(function(n) {
+                    node(n, "        ");
+                });
+                lines.push("    }");
+            });
+
+            var op = directed ? " -> " : " -- ";
+            graph.edges.forEach(function(edge) {
+                lines.push("    " + quote(edge.getSource().getId()) + op +
+                           quote(edge.getTarget().getId()) +
+                           attributeList(edge.options, SKIPPED.edge,
+                                         ["id=" + quote(edge.getId())].concat(
+                                             directed && !edge.directed() ? ["dir=none"] : [])) + ";");
+            });
+
+            lines.push("}");
+            return lines.join("\n") + "\n";
+        }
+    };
+
+    sg.io.register("dot", DOT);
+    sg.io.DOT = DOT;
+}());
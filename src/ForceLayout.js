@@ -0,0 +1,230 @@
+(function () {
+    "use strict";
+
+    if (typeof sg === "undefined") {
+        throw "Module SimpleGraph (sg) is not yet loaded.";
+    }
+
+    // the layout stops when no node moves more than this in one step
+    var MIN_DISPLACEMENT = 0.1;
+
+    // the golden angle, used for spreading nodes without position
+    var GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+    /**
+     * Force-directed layout. Connected nodes pull each other like springs,
+     * all nodes repulse each other, and the movement cools down on each step.
+     * Nodes without *options.pos* get one, nodes with *options.fixed* never move.
+     *
+     * @class sg.Layout.ForceLayout
+     * @constructor
+     * @param {Object} [options]
+     *     @param {Number} [options.width=500] width of the area to fit the nodes in
+     *     @param {Number} [options.height=500] height of the area to fit the nodes in
+     *     @param {Number} [options.distance] the desired edge length.
+     *                                        Computed from the area and the nodes count by default.
+     *     @param {Number} [options.gravity=0.05] how strong the nodes are pulled to the center
+     *     @param {Number} [options.temperature] the max distance a node can move in the first step.
+     *                                           Defaults to a tenth of the width.
+     *     @param {Number} [options.cooling=0.95] the temperature multiplier applied after each step
+     *     @param {Number} [options.iterations=300] the max number of steps
+     * @example
+     *     new sg.Layout.ForceLayout({ width: 800, height: 600 }).run(graph);
+     */
+    function ForceLayout(options) {
+        if (options &&
+            Object.prototype.toString.call(options) !== "[object Object]") {
+            throw "the options parameter should be an object.";
+        }
+
+        options = options || {};
+
+        ["width", "height", "distance", "gravity", "temperature", "cooling", "iterations"]
+            .forEach(function(name) {
+                if (options[name] !== undefined && typeof options[name] !== "number") {
+                    throw name + " should be a number";
+                }
+            });
+
+        this.width       = options.width       || 500;
+        this.height      = options.height      || 500;
+        this.distance    = options.distance    || 0;
+        this.gravity     = options.gravity !== undefined ? options.gravity : 0.05;
+        this.temperature = options.temperature || this.width / 10;
+        this.cooling     = options.cooling     || 0.95;
+        this.iterations  = options.iterations  || 300;
+
+        this.graph = null;
+    }
+
+    ForceLayout.prototype = new sg.Layout.AbstractLayout();
+
+    /**
+     * Prepares the layout for stepping through it and gives a position
+     * to each node that doesn't have one
+     *
+     * @method start
+     * @param {sg.Graph} graph
+     * @return {sg.Layout.ForceLayout} reference to *this* layout for method chaining
+     * @chainable
+     */
+    ForceLayout.prototype.start = function(graph) {
+        if (!(graph instanceof sg.Graph)) {
+            throw "the graph param is not sg.Graph";
+        }
+
+        this.graph = graph;
+        this._iteration = 0;
+        this._temperature = this.temperature;
+        this._distance = this.distance ||
+                         Math.sqrt(this.width * this.height / Math.max(graph.nodes.size(), 1)) / 2;
+
+        this._placeNodes();
+        return this;
+    };
+
+    // Gives a position to the nodes without one, spreading them in a spiral
+    // around the center. Called on each step, since the graph may have changed.
+    ForceLayout.prototype._placeNodes = function() {
+        var nodes = this.graph.nodes.values();
+        var cx = this.width / 2;
+        var cy = this.height / 2;
+        var placed = 0;
+
+        nodes.forEach(function(node) {
+            if (node.options.pos !== undefined) {
+                return;
+            }
+
+            var r = this._distance / 2 * Math.sqrt(placed + 1);
+            var angle = placed * GOLDEN_ANGLE;
+            node.options.pos = {
+                x: cx + r * Math.cos(angle),
+                y: cy + r * Math.sin(angle)
+            };
+
+            placed++;
+        }, this);
+
+        return nodes;
+    };
+
+    /**
+     * Moves the nodes one step
+     *
+     * @method step
+     * @return {Boolean} false if the layout has converged, true otherwise
+     */
+    ForceLayout.prototype.step = function() {
+        if (this.graph === null) {
+            throw "the layout is not started";
+        }
+
+        if (this._iteration >= this.iterations) {
+            return false;
+        }
+
+        var k = this._distance;
+        var nodes = this._placeNodes();
+        var disp = {};
+
+        nodes.forEach(function(node) {
+            disp[node._id] = { x: 0, y: 0 };
+        });
+
+        // repulsion between each pair of nodes
+        for (var i = 0; i < nodes.length; i++) {
+            for (var j = i + 1; j < nodes.length; j++) {
+                var a = nodes[i].options.pos;
+                var b = nodes[j].options.pos;
+                var dx = a.x - b.x;
+                var dy = a.y - b.y;
+                var d2 = dx*dx + dy*dy;
+
+                if (d2 === 0) {
+                    // nodes on top of each other are pushed apart in a made up direction
+                    dx = Math.cos(i + j);
+                    dy = Math.sin(i + j);
+                    d2 = 1;
+                }
+
+                var f = k * k / d2;
+                disp[nodes[i]._id].x += dx * f;
+                disp[nodes[i]._id].y += dy * f;
+                disp[nodes[j]._id].x -= dx * f;
+                disp[nodes[j]._id].y -= dy * f;
+            }
+        }
+
+        // attraction along the edges
+        this.graph.edges.forEach(function(edge) {
+            var source = edge.getSource();
+            var target = edge.getTarget();
+
+            if (source === target) {
+                return;
+            }
+
+            var dx = source.options.pos.x - target.options.pos.x;
+            var dy = source.options.pos.y - target.options.pos.y;
+            var f = Math.sqrt(dx*dx + dy*dy) / k;
+
+            disp[source._id].x -= dx * f;
+            disp[source._id].y -= dy * f;
+            disp[target._id].x += dx * f;
+            disp[target._id].y += dy * f;
+        });
+
+        var cx = this.width / 2;
+        var cy = this.height / 2;
+        var moved = 0;
+        nodes.forEach(function(node) {
+            if (node.options.fixed === true) {
+                return;
+            }
+
+            var pos = node.options.pos;
+            var d = disp[node._id];
+            d.x += (cx - pos.x) * this.gravity * k / 10;
+            d.y += (cy - pos.y) * this.gravity * k / 10;
+
+            var length = Math.sqrt(d.x*d.x + d.y*d.y);
+            if (length === 0) {
+                return;
+            }
+
+            var limit = Math.min(length, this._temperature) / length;
+            var r = node.options.radius || 0;
+            var x = Math.max(r, Math.min(this.width  - r, pos.x + d.x * limit));
+            var y = Math.max(r, Math.min(this.height - r, pos.y + d.y * limit));
+
+            moved = Math.max(moved, Math.abs(x - pos.x), Math.abs(y - pos.y));
+            pos.x = x;
+            pos.y = y;
+        }, this);
+
+        this._temperature *= this.cooling;
+        this._iteration++;
+
+        return moved > MIN_DISPLACEMENT;
+    };
+
+    /**
+     * Runs the layout until it converges
+     *
+     * @method run
+     * @param {sg.Graph} graph
+     * @return {sg.Layout.ForceLayout} reference to *this* layout for method chaining
+     * @chainable
+     */
+    ForceLayout.prototype.run = function(graph) {
+        this.start(graph);
+        while (this.step()) {
+            continue;
+        }
+
+        return this;
+    };
+
+    window.sg.Layout.ForceLayout = ForceLayout;
+}());
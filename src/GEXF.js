@@ -0,0 +1,515 @@
+(function () {
+    "use strict";
+
+    if (typeof sg === "undefined") {
+        throw "Module SimpleGraph (sg) is not yet loaded.";
+    }
+
+    if (typeof sg.io === "undefined") {
+        throw "Module sg.io (src/io.js) is not yet loaded.";
+    }
+
+    var NAMESPACE = "http://gexf.net/1.3";
+    var VIZ_NAMESPACE = "http://gexf.net/1.3/viz";
+
+    // the options which are written as the GEXF attributes of the elements,
+    // and not as attribute values
+    var RESERVED = {
+        node: ["label", "pos", "radius", "color", "start", "end", "spells", "parent"],
+        edge: ["label", "weight", "start", "end", "spells", "directed",
+               "x1", "y1", "x2", "y2", "cx", "cy", "cx2", "cy2"]
+    };
+
+    var TYPES = {
+        "integer": "int",
+        "long": "int",
+        "float": "double",
+        "double": "double",
+        "boolean": "boolean"
+    };
+
+    function escape(text) {
+        return String(text).replace(/&/g, "&amp;")
+                           .replace(/</g, "&lt;")
+                           .replace(/>/g, "&gt;")
+                           .replace(/"/g, "&quot;");
+    }
+
+    function invalid(message) {
+        return "Invalid GEXF: " + message + ".";
+    }
+
+    // The child elements of an element with the given local name
+    function children(element, name) {
+        return Array.prototype.filter.call(element.childNodes, function(child) {
+            return child.nodeType === 1 && child.localName === name;
+        });
+    }
+
+    function parseValue(text, type) {
+        switch (TYPES[type]) {
+            case "boolean":
+                return text.trim().toLowerCase() === "true";
+            case "int":
+                return parseInt(text, 10);
+            case "double":
+                return parseFloat(text);
+            default:
+                return text;
+        }
+    }
+
+    // The GEXF type of a list of values, or undefined if it's not one of the written types
+    function valueType(values) {
+        var types = values.map(function(value) {
+            if (typeof value === "number") {
+                return value % 1 === 0 && Math.abs(value) <= 0x7fffffff ? "integer" : "double";
+            }
+
+            return typeof value === "boolean" || typeof value === "string" ? typeof value : undefined;
+        });
+
+        if (types.length === 0 || types.indexOf(undefined) !== -1) {
+            return undefined;
+        }
+
+        if (types.every(function(type) { return type === "integer" || type === "double"; })) {
+            return types.indexOf("double") !== -1 ? "double" : "integer";
+        }
+
+        return types.every(function(type) { return type === types[0]; }) ? types[0] : "string";
+    }
+
+    // A dynamic value is a list of { value, start, end }
+    function isDynamic(value) {
+        return Array.isArray(value) && value.length > 0 && value.every(function(v) {
+            return v !== null && typeof v === "object" && "value" in v;
+        });
+    }
+
+    function Reader(root) {
+        var graph = children(root, "graph")[0];
+        if (graph === undefined) {
+            throw invalid("there is no graph");
+        }
+
+        this.graph = graph;
+
+        // the times are numbers, unless they are dates
+        var format = graph.getAttribute("timeformat") || "double";
+        this.numericTime = format === "double" || format === "integer" || format === "float";
+
+        this.attributes = { node: {}, edge: {} };
+        children(graph, "attributes").forEach(function(element) {
+            var domain = element.getAttribute("class");
+            if (this.attributes[domain] === undefined) {
+                return;
+            }
+
+            children(element, "attribute").forEach(function(attribute) {
+                var a = {
+                    title: attribute.getAttribute("title") || attribute.getAttribute("id"),
+                    type: attribute.getAttribute("type") || "string"
+                };
+
+                var defaults = children(attribute, "default");
+                if (defaults.length > 0) {
+                    a.value = parseValue(defaults[0].textContent, a.type);
+                }
+
+                this.attributes[domain][attribute.getAttribute("id")] = a;
+            }, this);
+        }, this);
+    }
+
+    Reader.prototype.time = function(element, name) {
+        var value = element.getAttribute(name);
+        if (value === null) {
+            value = element.getAttribute(name + "open");
+        }
+
+        return value === null ? undefined : this.numericTime ? parseFloat(value) : value;
+    };
+
+    // Reads an element's label, times, spells and attribute values into options
+    Reader.prototype.options = function(element, domain) {
+        var options = {};
+        var attributes = this.attributes[domain];
+
+        Object.keys(attributes).forEach(function(id) {
+            if (attributes[id].value !== undefined) {
+                options[attributes[id].title] = attributes[id].value;
+            }
+        });
+
+        if (element.hasAttribute("label")) {
+            options.label = element.getAttribute("label");
+        }
+
+        ["start", "end"].forEach(function(name) {
+            var time = this.time(element, name);
+            if (time !== undefined) {
+                options[name] = time;
+            }
+        }, this);
+
+        children(element, "spells").forEach(function(spells) {
+            options.spells = children(spells, "spell").map(function(spell) {
+                return { start: this.time(spell, "start"), end: this.time(spell, "end") };
+            }, this);
+        }, this);
+
+        children(element, "attvalues").forEach(function(values) {
+            children(values, "attvalue").forEach(function(value) {
+                var attribute = attributes[value.getAttribute("for")];
+                if (attribute === undefined) {
+                    throw invalid("undeclared attribute \"" + value.getAttribute("for") + "\"");
+                }
+
+                var v = parseValue(value.getAttribute("value") || "", attribute.type);
+                var start = this.time(value, "start");
+                var end = this.time(value, "end");
+                if (start === undefined && end === undefined) {
+                    options[attribute.title] = v;
+                    return;
+                }
+
+                // a value in a time interval, the values of all the intervals are kept
+                if (!isDynamic(options[attribute.title])) {
+                    options[attribute.title] = [];
+                }
+
+                options[attribute.title].push({ value: v, start: start, end: end });
+            }, this);
+        }, this);
+
+        return options;
+    };
+
+    Reader.prototype.node = function(element) {
+        var options = this.options(element, "node");
+
+        if (element.hasAttribute("pid")) {
+            options.parent = element.getAttribute("pid");
+        }
+
+        Array.prototype.forEach.call(element.childNodes, function(child) {
+            if (child.nodeType !== 1) {
+                return;
+            }
+
+            // the viz elements, in any version's namespace
+            if (child.localName === "position") {
+                options.pos = {
+                    x: parseFloat(child.getAttribute("x")),
+                    y: parseFloat(child.getAttribute("y"))
+                };
+            } else if (child.localName === "size") {
+                options.radius = parseFloat(child.getAttribute("value"));
+            } else if (child.localName === "color") {
+                options.color = "#" + ["r", "g", "b"].map(function(c) {
+                    var hex = parseInt(child.getAttribute(c), 10).toString(16);
+                    return hex.length === 1 ? "0" + hex : hex;
+                }).join("");
+            }
+        });
+
+        return { id: element.getAttribute("id"), options: options };
+    };
+
+    Reader.prototype.edge = function(element, directed) {
+        var options = this.options(element, "edge");
+        var type = element.getAttribute("type");
+
+        if (element.hasAttribute("weight")) {
+            options.weight = parseFloat(element.getAttribute("weight"));
+        }
+
+        return {
+            id: element.getAttribute("id") || undefined,
+            source: element.getAttribute("source"),
+            target: element.getAttribute("target"),
+            directed: type === null ? directed : type === "directed",
+            options: options
+        };
+    };
+
+    // Writes the attribute values, spells and times of an element
+    function Writer(graph) {
+        this.lines = [];
+        this.dynamic = false;
+        this.numericTime = true;
+        this.attributes = { node: [], edge: [] };
+
+        var check = function(time) {
+            if (time !== undefined) {
+                this.dynamic = true;
+                this.numericTime = this.numericTime && typeof time === "number";
+            }
+        }.bind(this);
+
+        var collect = function(options) {
+            ["start", "end"].forEach(function(name) {
+                check(options[name]);
+            });
+
+            (Array.isArray(options.spells) ? options.spells : []).forEach(function(spell) {
+                check(spell.start);
+                check(spell.end);
+            });
+
+            Object.keys(options).forEach(function(name) {
+                if (isDynamic(options[name])) {
+                    options[name].forEach(function(v) {
+                        check(v.start);
+                        check(v.end);
+                    });
+                }
+            });
+        };
+
+        var nodes = graph.nodes.values();
+        var edges = graph.edges.toArray();
+        nodes.forEach(function(node) { collect(node.options); });
+        edges.forEach(function(edge) { collect(edge.options); });
+
+        // an attribute for each name, with the type of its values
+        [["node", nodes], ["edge", edges]].forEach(function(pair) {
+            var domain = pair[0];
+            var names = [];
+            pair[1].forEach(function(element) {
+                Object.keys(element.options).forEach(function(name) {
+                    if (names.indexOf(name) === -1 && RESERVED[domain].indexOf(name) === -1) {
+                        names.push(name);
+                    }
+                });
+            });
+
+            names.forEach(function(name) {
+                var values = [];
+                var dynamic = false;
+                pair[1].forEach(function(element) {
+                    var value = element.options[name];
+                    if (isDynamic(value)) {
+                        dynamic = true;
+                        value.forEach(function(v) {
+                            values.push(v.value);
+                        });
+                    } else if (value !== undefined) {
+                        values.push(value);
+                    }
+                });
+
+                var type = valueType(values);
+                if (type !== undefined) {
+                    this.attributes[domain].push({
+                        id: String(this.attributes[domain].length),
+                        title: name,
+                        type: type,
+                        dynamic: dynamic
+                    });
+                }
+            }, this);
+        }, this);
+    }
+
+    Writer.prototype.times = function(object) {
+        return ["start", "end"].filter(function(name) {
+            return object[name] !== undefined && object[name] !== null;
+        }).map(function(name) {
+            return " " + name + "=\"" + escape(object[name]) + "\"";
+        }).join("");
+    };
+
+    Writer.prototype.values = function(domain, options, indent) {
+        var lines = [];
+
+        this.attributes[domain].forEach(function(attribute) {
+            var value = options[attribute.title];
+            if (value === undefined) {
+                return;
+            }
+
+            (isDynamic(value) ? value : [{ value: value }]).forEach(function(v) {
+                lines.push(indent + "  <attvalue for=\"" + attribute.id + "\" value=\"" +
+                           escape(v.value) + "\"" + this.times(v) + "/>");
+            }, this);
+        }, this);
+
+        if (lines.length > 0) {
+            this.lines.push(indent + "<attvalues>");
+            this.lines.push.apply(this.lines, lines);
+            this.lines.push(indent + "</attvalues>");
+        }
+
+        if (Array.isArray(options.spells) && options.spells.length > 0) {
+            this.lines.push(indent + "<spells>");
+            options.spells.forEach(function(spell) {
+                this.lines.push(indent + "  <spell" + this.times(spell) + "/>");
+            }, this);
+            this.lines.push(indent + "</spells>");
+        }
+    };
+
+    // Closes an element opened at the line before start, or makes it empty
+    Writer.prototype.close = function(start, indent, name) {
+        if (this.lines.length === start) {
+            this.lines[start - 1] = this.lines[start - 1].replace(/>$/, "/>");
+        } else {
+            this.lines.push(indent + "</" + name + ">");
+        }
+    };
+
+    /**
+     * Reads and writes graphs in the GEXF format of Gephi (http://gexf.net/).
+     * The attribute values are read into the options, with the types of their declarations.
+     * A value in a time interval is read as a list of { value, start, end }.
+     * The *label*, *start*, *end* and spells ({ start, end } list) of the nodes
+     * and the edges, the edges' *weight* and the nodes' position (*pos*),
+     * size (*radius*) and color (*color*, "#rrggbb") are kept in options of the same name.
+     *
+     * @class sg.io.GEXF
+     * @static
+     */
+    var GEXF = {
+        /**
+         * Makes a graph from a GEXF document. Its direction is the one of the edges
+         * (mixed if some are directed and some aren't, and mutual edges are undirected)
+         * and it's a multigraph, or allows selfloops, only if the document has parallel
+         * edges, or selfloops. The hierarchy of the nodes is flattened, the id of a
+         * node's parent being in its *options.parent*.
+         *
+         * @method read
+         * @param {String} text the GEXF document
+         * @return {sg.Graph}
+         */
+        read: function(text) {
+            if (typeof text !== "string") {
+                throw "text should be a string.";
+            }
+
+            var doc = new window.DOMParser().parseFromString(text, "application/xml");
+            var root = doc.documentElement;
+            if (root === null || root.localName !== "gexf" ||
+                doc.getElementsByTagName("parsererror").length > 0) {
+                throw invalid("it's not a GEXF document");
+            }
+
+            var reader = new Reader(root);
+            var graph = reader.graph;
+            var directed = graph.getAttribute("defaultedgetype") === "directed";
+
+            var nodes = Array.prototype.map.call(graph.getElementsByTagNameNS("*", "node"),
+                reader.node.bind(reader));
+
+            var edges = Array.prototype.map.call(graph.getElementsByTagNameNS("*", "edge"),
+                function(element) {
+                    return reader.edge(element, directed);
+                });
+
+            return sg.io.build({
+                nodes: nodes,
+                edges: edges,
+                directed: directed
+            }, invalid);
+        },
+
+        /**
+         * Writes a graph as a GEXF 1.3 document. The options which are strings, numbers
+         * or booleans, or lists of them in time intervals, are written as attribute values.
+         * The document is dynamic if any time is set.
+         *
+         * @method write
+         * @param {sg.Graph} graph
+         * @return {String} the GEXF document
+         */
+        write: function(graph) {
+            if (!(graph instanceof sg.Graph)) {
+                throw "the graph param is not sg.Graph";
+            }
+
+            var writer = new Writer(graph);
+            var lines = writer.lines;
+            var directed = graph.direction() === sg.DIRECTION.DIRECTED;
+
+            lines.push("<?xml version=\"1.0\" encoding=\"UTF-8\"?>");
+            lines.push("<gexf xmlns=\"" + NAMESPACE + "\" xmlns:viz=\"" + VIZ_NAMESPACE +
+                       "\" version=\"1.3\">");
+            lines.push("  <graph defaultedgetype=\"" + (directed ? "directed" : "undirected") +
+                       "\"" + (writer.dynamic ? " mode=\"dynamic\" timeformat=\"" +
+                       (writer.numericTime ? "double" : "date") + "\"" : "") + ">");
+
+            ["node", "edge"].forEach(function(domain) {
+                var attributes = writer.attributes[domain];
+                if (attributes.length === 0) {
+                    return;
+                }
+
+                var dynamic = attributes.some(function(a) { return a.dynamic; });
+                lines.push("    <attributes class=\"" + domain + "\"" +
+                           (dynamic ? " mode=\"dynamic\"" : "") + ">");
+                attributes.forEach(function(a) {
+                    lines.push("      <attribute id=\"" + a.id + "\" title=\"" + escape(a.title) +
+                               "\" type=\"" + a.type + "\"/>");
+                });
+                lines.push("    </attributes>");
+            });
+
+            lines.push("    <nodes>");
+            graph.nodes.values().forEach(function(node) {
+                var o = node.options;
+                lines.push("      <node id=\"" + escape(node.getId()) + "\"" +
+                           (o.label !== undefined ? " label=\"" + escape(o.label) + "\"" : "") +
+                           (o.parent !== undefined ? " pid=\"" + escape(o.parent) + "\"" : "") +
+                           writer.times(o) + ">");
+
+                var start = lines.length;
+                writer.values("node", o, "        ");
+
+                if (o.pos !== undefined && o.pos !== null) {
+                    lines.push("        <viz:position x=\"" + o.pos.x + "\" y=\"" + o.pos.y +
+                               "\" z=\"0\"/>");
+                }
+
+                if (typeof o.radius === "number") {
+                    lines.push("        <viz:size value=\"" + o.radius + "\"/>");
+                }
+
+                var color = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(o.color);
+                if (color !== null) {
+                    lines.push("        <viz:color r=\"" + parseInt(color[1], 16) +
+                               "\" g=\"" + parseInt(color[2], 16) +
+                               "\" b=\"" + parseInt(color[3], 16) + "\"/>");
+                }
+
+                writer.close(start, "      ", "node");
+            });
+            lines.push("    </nodes>");
+
+            lines.push("    <edges>");
+            graph.edges.toArray().forEach(function(edge) {
+                var o = edge.options;
+                lines.push("      <edge id=\"" + escape(edge.getId()) + "\" source=\"" +
+                           escape(edge.getSource().getId()) + "\" target=\"" +
+                           escape(edge.getTarget().getId()) + "\"" +
+                           (edge.directed() !== directed ?
+                            " type=\"" + (edge.directed() ? "directed" : "undirected") + "\"" : "") +
+                           (typeof o.weight === "number" ? " weight=\"" + o.weight + "\"" : "") +
+                           (o.label !== undefined ? " label=\"" + escape(o.label) + "\"" : "") +
+                           writer.times(o) + ">");
+
+                var start = lines.length;
+                writer.values("edge", o, "        ");
+                writer.close(start, "      ", "edge");
+            });
+            lines.push("    </edges>");
+
+            lines.push("  </graph>");
+            lines.push("</gexf>");
+            return lines.join("\n") + "\n";
+        }
+    };
+
+    sg.io.register("gexf", GEXF);
+    sg.io.GEXF = GEXF;
+}());
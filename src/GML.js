@@ -0,0 +1,342 @@
+(function () {
+    "use strict";
+
+    if (typeof sg === "undefined") {
+        throw "Module SimpleGraph (sg) is not yet loaded.";
+    }
+
+    if (typeof sg.io === "undefined") {
+        throw "Module sg.io (src/io.js) is not yet loaded.";
+    }
+
+    var KEY = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+    var INTEGER = /^-?[0-9]+$/;
+
+    // the options which are not written as keys, since the graph keeps them itself
+    // or the renderer computes them
+    var SKIPPED = {
+        graph: ["direction", "multigraph", "selfloops", "override", "directed"],
+        node:  ["id", "pos", "radius"],
+        edge:  ["source", "target", "directed", "x1", "y1", "x2", "y2", "cx", "cy", "cx2", "cy2"]
+    };
+
+    function invalid(message, line) {
+        return "Invalid GML: " + message + (line !== undefined ? " at line " + line + "." : ".");
+    }
+
+    function decode(text) {
+        return text.replace(/&quot;/g, "\"").replace(/&lt;/g, "<")
+                   .replace(/&gt;/g, ">").replace(/&amp;/g, "&");
+    }
+
+    function encode(text) {
+        return String(text).replace(/&/g, "&amp;").replace(/"/g, "&quot;");
+    }
+
+    /**
+     * Parses a GML document into lists of [key, value, line], where
+     * value is a number, a string or such a list
+     *
+     * @private
+     * @method parse
+     * @param {String} text
+     * @return {Array}
+     */
+    function parse(text) {
+        var pattern = /\s+|#[^\n]*|(\[)|(\])|"([^"]*)"|([a-zA-Z_][a-zA-Z0-9_]*)|([-+]?([0-9]*\.[0-9]+|[0-9]+\.?)([eE][-+]?[0-9]+)?)/g;
+        var stack = [[]];
+        var key = null;
+        var line = 1;
+        var index = 0;
+        var match;
+
+        var add = function(value) {
+            if (key === null) {
+                throw invalid("a value without key", line);
+            }
+
+            stack[stack.length - 1].push([key, value, line]);
+            key = null;
+        };
+
+        while (index < text.length) {
+            pattern.lastIndex = index;
+            match = pattern.exec(text);
+            if (match === null || match.index !== index) {
+                throw invalid("unexpected character '" + text.charAt(index) + "'", line);
+            }
+
+            if (match[1] !== undefined) {
+                var list = [];
+                add(list);
+                stack.push(list);
+            } else if (match[2] !== undefined) {
+                if (stack.length === 1 || key !== null) {
+                    throw invalid("unexpected ']'", line);
+                }
+
+                stack.pop();
+            } else if (match[3] !== undefined) {
+                add(decode(match[3]));
+            } else if (match[4] !== undefined) {
+                if (key !== null) {
+                    throw invalid("the key " + key + " has no value", line);
+                }
+
+                key = match[4];
+            } else if (match[5] !== undefined) {
+                add(parseFloat(match[5]));
+            }
+
+            line += match[0].split("\n").length - 1;
+            index = pattern.lastIndex;
+        }
+
+        if (stack.length > 1) {
+            throw invalid("missing ']'");
+        }
+
+        if (key !== null) {
+            throw invalid("the key " + key + " has no value", line);
+        }
+
+        return stack[0];
+    }
+
+    // Converts a list to an object, nested lists too. With repeated keys, the last one is kept.
+    function toObject(list) {
+        var object = {};
+        list.forEach(function(entry) {
+            object[entry[0]] = Array.isArray(entry[1]) ? toObject(entry[1]) : entry[1];
+        });
+        return object;
+    }
+
+    // The lines of a key and its value, numbers, strings, booleans (as 1 or 0)
+    // and objects (as lists), skipping the others
+    function write(lines, key, value, indent) {
+        if (!KEY.test(key)) {
+            return;
+        }
+
+        if (typeof value === "number" && isFinite(value)) {
+            lines.push(indent + key + " " + value);
+        } else if (typeof value === "string") {
+            lines.push(indent + key + " \"" + encode(value) + "\"");
+        } else if (typeof value === "boolean") {
+            lines.push(indent + key + " " + (value ? 1 : 0));
+        } else if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+            lines.push(indent + key + " [");
+            Object.keys(value).forEach(function(k) {
+                write(lines, k, value[k], indent + "  ");
+            });
+            lines.push(indent + "]");
+        }
+    }
+
+    function writeOptions(lines, options, skipped, indent) {
+        Object.keys(options).forEach(function(key) {
+            if (skipped.indexOf(key) === -1) {
+                write(lines, key, options[key], indent);
+            }
+        });
+    }
+
+    /**
+     * Reads and writes graphs in the Graph Modelling Language (GML).
+     * The keys of the graph, the nodes and the edges are read into their options
+     * (lists as objects). A node's *pos* and *radius* are kept in its *graphics*
+     * as *x*, *y* and *w* (the width).
+     *
+     * @class sg.io.GML
+     * @static
+     */
+    var GML = {
+        /**
+         * Makes a graph from a GML document. It's directed if the graph has *directed 1*,
+         * and edges with their own *directed* key make it mixed. It's a multigraph, or allows
+         * selfloops, if the document has parallel edges, or selfloops.
+         * The ids of the nodes, and the edges' *id* keys, are converted to strings.
+         *
+         * @method read
+         * @param {String} text the GML document
+         * @return {sg.Graph}
+         */
+        read: function(text) {
+            if (typeof text !== "string") {
+                throw "text should be a string.";
+            }
+
+            var root = parse(text).filter(function(entry) {
+                return entry[0] === "graph" && Array.isArray(entry[1]);
+            })[0];
+
+            if (root === undefined) {
+                throw invalid("there is no graph");
+            }
+
+            var options = {};
+            var nodes = [];
+            var edges = [];
+            var directed = false;
+            var multigraph = false;
+
+            root[1].forEach(function(entry) {
+                var key = entry[0];
+                var value = entry[1];
+                var line = entry[2];
+
+                if (key === "directed") {
+                    directed = value === 1;
+                } else if (key === "multigraph") {
+                    multigraph = value === 1;
+                } else if (key === "node" || key === "edge") {
+                    if (!Array.isArray(value)) {
+                        throw invalid(key + " should be a list", line);
+                    }
+
+                    var o = toObject(value);
+                    if (key === "node") {
+                        if (o.id === undefined || typeof o.id === "object") {
+                            throw invalid("a node has no id", line);
+                        }
+
+                        nodes.push({ id: String(o.id), options: o });
+                    } else {
+                        if (o.source === undefined || o.target === undefined) {
+                            throw invalid("an edge has no source or target", line);
+                        }
+
+                        edges.push({ source: String(o.source), target: String(o.target), options: o });
+                    }
+                } else {
+                    options[key] = Array.isArray(value) ? toObject(value) : value;
+                }
+            });
+
+            nodes.forEach(function(node) {
+                var o = node.options;
+                delete o.id;
+
+                var graphics = o.graphics;
+                if (graphics !== null && typeof graphics === "object") {
+                    if (typeof graphics.x === "number" && typeof graphics.y === "number") {
+                        o.pos = { x: graphics.x, y: graphics.y };
+                        delete graphics.x;
+                        delete graphics.y;
+                    }
+
+                    if (typeof graphics.w === "number") {
+                        o.radius = graphics.w / 2;
+                        delete graphics.w;
+                        delete graphics.h;
+                    }
+
+                    if (Object.keys(graphics).length === 0) {
+                        delete o.graphics;
+                    }
+                }
+            });
+
+            edges.forEach(function(edge) {
+                var o = edge.options;
+                edge.directed = o.directed !== undefined ? o.directed === 1 : directed;
+                delete o.source;
+                delete o.target;
+                delete o.directed;
+            });
+
+            return sg.io.build({
+                options: options,
+                nodes: nodes,
+                edges: edges,
+                directed: directed,
+                multigraph: multigraph
+            }, invalid);
+        },
+
+        /**
+         * Writes a graph as a GML document. The ids of the nodes and the edges are written
+         * as integers if they are ones (without leading zeros), as strings otherwise. In a mixed graph the edges which aren't
+         * like the graph have their own *directed* key. The options which are strings,
+         * numbers, booleans (as 1 or 0) or objects (as lists) are written as keys.
+         *
+         * @method write
+         * @param {sg.Graph} graph
+         * @return {String} the GML document
+         * @example
+         *     graph.addNode("007");
+         *     var copy = sg.io.GML.read(sg.io.GML.write(graph)); // "id \"007\"", not "id 7"
+         *     copy.getNode("007") !== undefined; // true
+         */
+        write: function(graph) {
+            if (!(graph instanceof sg.Graph)) {
+                throw "the graph param is not sg.Graph";
+            }
+
+            var directed = graph.direction() === sg.DIRECTION.DIRECTED;
+            var lines = ["graph ["];
+            // an id is written as an integer only if it's read back the same (not "007")
+            var id = function(nodeOrEdge) {
+                var value = nodeOrEdge.getId();
+                return INTEGER.test(value) && String(parseInt(value, 10)) === value ?
+                       value : "\"" + encode(value) + "\"";
+            };
+
+            lines.push("  directed " + (directed ? 1 : 0));
+            if (graph.multigraph()) {
+                lines.push("  multigraph 1");
+            }
+
+            writeOptions(lines, graph.options, SKIPPED.graph, "  ");
+
+            graph.nodes.values().forEach(function(node) {
+                var o = node.options;
+                lines.push("  node [");
+                lines.push("    id " + id(node));
+                writeOptions(lines, o, SKIPPED.node.concat(["graphics"]), "    ");
+
+                var graphics = {};
+                if (o.graphics !== null && typeof o.graphics === "object") {
+                    Object.keys(o.graphics).forEach(function(key) {
+                        graphics[key] = o.graphics[key];
+                    });
+                }
+
+                if (o.pos !== undefined && o.pos !== null) {
+                    graphics.x = o.pos.x;
+                    graphics.y = o.pos.y;
+                }
+
+                if (typeof o.radius === "number") {
+                    graphics.w = graphics.h = 2 * o.radius;
+                }
+
+                if (Object.keys(graphics).length > 0) {
+                    write(lines, "graphics", graphics, "    ");
+                }
+
+                lines.push("  ]");
+            });
+
+            graph.edges.forEach(function(edge) {
+                lines.push("  edge [");
+                lines.push("    id " + id(edge));
+                lines.push("    source " + id(edge.getSource()));
+                lines.push("    target " + id(edge.getTarget()));
+                if (edge.directed() !== directed) {
+                    lines.push("    directed " + (edge.directed() ? 1 : 0));
+                }
+
+                writeOptions(lines, edge.options, SKIPPED.edge, "    ");
+                lines.push("  ]");
+            });
+
+            lines.push("]");
+            return lines.join("\n") + "\n";
+        }
+    };
+
+    sg.io.register("gml", GML);
+    sg.io.GML = GML;
+}());
@@ -0,0 +1,367 @@
+(function () {
+    "use strict";
+
+    if (typeof sg === "undefined") {
+        throw "Module SimpleGraph (sg) is not yet loaded.";
+    }
+
+    if (typeof sg.io === "undefined") {
+        throw "Module sg.io (src/io.js) is not yet loaded.";
+    }
+
+    var NAMESPACE = "http://graphml.graphdrawing.org/xmlns";
+
+    // the options which are not written as data, since the graph keeps them itself
+    // or the renderer computes them
+    var SKIPPED = {
+        graph: ["direction", "multigraph", "selfloops", "override"],
+        node:  ["pos"],
+        edge:  ["directed", "x1", "y1", "x2", "y2", "cx", "cy", "cx2", "cy2"]
+    };
+
+    function escape(text) {
+        return String(text).replace(/&/g, "&amp;")
+                           .replace(/</g, "&lt;")
+                           .replace(/>/g, "&gt;")
+                           .replace(/"/g, "&quot;");
+    }
+
+    function invalid(message) {
+        return "Invalid GraphML: " + message + ".";
+    }
+
+    // The child elements of an element with the given local name
+    function children(element, name) {
+        return Array.prototype.filter.call(element.childNodes, function(child) {
+            return child.nodeType === 1 && child.localName === name;
+        });
+    }
+
+    function descendant(element, name) {
+        var found = element.getElementsByTagNameNS("*", name);
+        return found.length > 0 ? found[0] : null;
+    }
+
+    function parseValue(text, type) {
+        switch (type) {
+            case "boolean":
+                return text.trim().toLowerCase() === "true";
+            case "int":
+            case "long":
+                return parseInt(text, 10);
+            case "float":
+            case "double":
+                return parseFloat(text);
+            default:
+                return text;
+        }
+    }
+
+    // The GraphML type of a list of values, or undefined if it's not one of
+    // the written types
+    function valueType(values) {
+        var types = values.map(function(value) {
+            if (typeof value === "boolean") {
+                return "boolean";
+            }
+
+            if (typeof value === "number") {
+                return value % 1 === 0 && Math.abs(value) <= 0x7fffffff ? "int" : "double";
+            }
+
+            return typeof value === "string" ? "string" : undefined;
+        });
+
+        if (types.indexOf(undefined) !== -1) {
+            return undefined;
+        }
+
+        if (types.indexOf("double") !== -1 && types.every(function(type) {
+            return type === "int" || type === "double";
+        })) {
+            return "double";
+        }
+
+        return types.every(function(type) { return type === types[0]; }) ? types[0] : "string";
+    }
+
+    // Reads the <key> elements into { id: { name, type, default } } for each domain
+    function readKeys(root) {
+        var keys = { graph: {}, node: {}, edge: {} };
+
+        children(root, "key").forEach(function(element) {
+            var id = element.getAttribute("id");
+            var domain = element.getAttribute("for") || "all";
+            var key = {
+                name: element.getAttribute("attr.name") || id,
+                type: element.getAttribute("attr.type") || "string",
+                graphics: element.getAttribute("attr.name") === null
+            };
+
+            var defaults = children(element, "default");
+            if (defaults.length > 0) {
+                key.value = parseValue(defaults[0].textContent, key.type);
+            }
+
+            ["graph", "node", "edge"].forEach(function(d) {
+                if (domain === d || domain === "all") {
+                    keys[d][id] = key;
+                }
+            });
+        });
+
+        return keys;
+    }
+
+    // Reads the <data> children of an element into a new options object
+    function readData(element, keys) {
+        var options = {};
+
+        Object.keys(keys).forEach(function(id) {
+            if (keys[id].value !== undefined) {
+                options[keys[id].name] = keys[id].value;
+            }
+        });
+
+        children(element, "data").forEach(function(data) {
+            var key = keys[data.getAttribute("key")];
+            if (key === undefined) {
+                throw invalid("undeclared key \"" + data.getAttribute("key") + "\"");
+            }
+
+            // the position of the nodes drawn by yEd
+            var geometry = descendant(data, "Geometry");
+            if (key.graphics && geometry !== null) {
+                options.pos = {
+                    x: parseFloat(geometry.getAttribute("x")) +
+                       (parseFloat(geometry.getAttribute("width")) || 0) / 2,
+                    y: parseFloat(geometry.getAttribute("y")) +
+                       (parseFloat(geometry.getAttribute("height")) || 0) / 2
+                };
+                return;
+            }
+
+            if (!key.graphics) {
+                options[key.name] = parseValue(data.textContent, key.type);
+            }
+        });
+
+        return options;
+    }
+
+    /**
+     * Reads and writes graphs in the GraphML format (http://graphml.graphdrawing.org/).
+     * The *data* of the graph, the nodes and the edges are read into their options,
+     * using the types of their *key* declarations. A node's *pos* is written as
+     * the *x* and *y* data, or *pos.x* and *pos.y* if some nodes have *x* or *y*
+     * options of their own, and read back from them or from yEd's node graphics.
+     *
+     * @class sg.io.GraphML
+     * @static
+     */
+    var GraphML = {
+        /**
+         * Makes a graph from a GraphML document. Its direction is the one of the edges
+         * (mixed if some are directed and some aren't) and it's a multigraph, or allows
+         * selfloops, only if the document has parallel edges, or selfloops.
+         * Nested graphs are flattened.
+         *
+         * @method read
+         * @param {String} text the GraphML document
+         * @return {sg.Graph}
+         */
+        read: function(text) {
+            if (typeof text !== "string") {
+                throw "text should be a string.";
+            }
+
+            var doc = new window.DOMParser().parseFromString(text, "application/xml");
+            var root = doc.documentElement;
+            if (root === null || root.localName !== "graphml" ||
+                doc.getElementsByTagName("parsererror").length > 0) {
+                throw invalid("it's not a GraphML document");
+            }
+
+            var graphs = children(root, "graph");
+            if (graphs.length === 0) {
+                throw invalid("there is no graph");
+            }
+
+            var keys = readKeys(root);
+            var graph = graphs[0];
+            var directed = graph.getAttribute("edgedefault") !== "undirected";
+
+            var nodes = Array.prototype.map.call(graph.getElementsByTagNameNS("*", "node"),
+                function(element) {
+                    var options = readData(element, keys.node);
+                    if (typeof options["pos.x"] === "number" && typeof options["pos.y"] === "number") {
+                        options.pos = { x: options["pos.x"], y: options["pos.y"] };
+                        delete options["pos.x"];
+                        delete options["pos.y"];
+                    } else if (typeof options.x === "number" && typeof options.y === "number") {
+                        options.pos = { x: options.x, y: options.y };
+                        delete options.x;
+                        delete options.y;
+                    }
+
+                    return { id: element.getAttribute("id"), options: options };
+                });
+
+            var edges = Array.prototype.map.call(graph.getElementsByTagNameNS("*", "edge"),
+                function(element) {
+                    return {
+                        id: element.getAttribute("id") || undefined,
+                        source: element.getAttribute("source"),
+                        target: element.getAttribute("target"),
+                        directed: element.hasAttribute("directed") ?
+                                  element.getAttribute("directed") === "true" : directed,
+                        options: readData(element, keys.edge)
+                    };
+                });
+
+            return sg.io.build({
+                options: readData(graph, keys.graph),
+                nodes: nodes,
+                edges: edges,
+                directed: directed
+            }, invalid);
+        },
+
+        /**
+         * Writes a graph as a GraphML document. The options which are strings, numbers
+         * or booleans are written as data, with a *key* declaration for each name.
+         * Other values, except the nodes' *pos*, are left out.
+         *
+         * @method write
+         * @param {sg.Graph} graph
+         * @return {String} the GraphML document
+         */
+        write: function(graph) {
+            if (!(graph instanceof sg.Graph)) {
+                throw "the graph param is not sg.Graph";
+            }
+
+            var nodes = graph.nodes.values();
+            var edges = graph.edges.toArray();
+            var directed = graph.direction() === sg.DIRECTION.DIRECTED;
+
+            // the nodes' own x and y options aren't replaced: the positions get other names then
+            var own = nodes.some(function(node) {
+                return node.options.x !== undefined || node.options.y !== undefined;
+            });
+            var x = own ? "pos.x" : "x";
+            var y = own ? "pos.y" : "y";
+
+            var options = {
+                graph: [graph.options],
+                node: nodes.map(function(node) {
+                    var options = {};
+                    Object.keys(node.options).forEach(function(name) {
+                        options[name] = node.options[name];
+                    });
+
+                    var pos = node.options.pos;
+                    if (pos !== undefined && pos !== null) {
+                        options[x] = pos.x;
+                        options[y] = pos.y;
+                    }
+
+                    return options;
+                }),
+                edge: edges.map(function(edge) {
+                    return edge.options;
+                })
+            };
+
+            // a key for each name having only values of one type
+            var keys = { graph: [], node: [], edge: [] };
+            var lines = [
+                "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+                "<graphml xmlns=\"" + NAMESPACE + "\">"
+            ];
+
+            ["graph", "node", "edge"].forEach(function(domain) {
+                var names = [];
+                options[domain].forEach(function(o) {
+                    Object.keys(o).forEach(function(name) {
+                        if (names.indexOf(name) === -1 && SKIPPED[domain].indexOf(name) === -1) {
+                            names.push(name);
+                        }
+                    });
+                });
+
+                names.forEach(function(name) {
+                    var type = valueType(options[domain].filter(function(o) {
+                        return o[name] !== undefined;
+                    }).map(function(o) {
+                        return o[name];
+                    }));
+
+                    // the coordinates are always real numbers, for the other programs
+                    if (domain === "node" && (name === x || name === y) && type === "int") {
+                        type = "double";
+                    }
+
+                    if (type === undefined) {
+                        return;
+                    }
+
+                    var id = domain.charAt(0) + keys[domain].length;
+                    keys[domain].push({ id: id, name: name, type: type });
+                    lines.push("  <key id=\"" + id + "\" for=\"" + domain +
+                               "\" attr.name=\"" + escape(name) +
+                               "\" attr.type=\"" + type + "\"/>");
+                });
+            });
+
+            var data = function(domain, o, indent) {
+                keys[domain].forEach(function(key) {
+                    if (o[key.name] !== undefined) {
+                        lines.push(indent + "<data key=\"" + key.id + "\">" +
+                                   escape(o[key.name]) + "</data>");
+                    }
+                });
+            };
+
+            lines.push("  <graph edgedefault=\"" + (directed ? "directed" : "undirected") + "\">");
+            data("graph", graph.options, "    ");
+
+            nodes.forEach(function(node, i) {
+                if (keys.node.some(function(key) {
+                    return options.node[i][key.name] !== undefined;
+                })) {
+                    lines.push("    <node id=\"" + escape(node.getId()) + "\">");
+                    data("node", options.node[i], "      ");
+                    lines.push("    </node>");
+                } else {
+                    lines.push("    <node id=\"" + escape(node.getId()) + "\"/>");
+                }
+            });
+
+            edges.forEach(function(edge) {
+                var attributes = "<edge id=\"" + escape(edge.getId()) + "\" source=\"" +
+                                 escape(edge.getSource().getId()) + "\" target=\"" +
+                                 escape(edge.getTarget().getId()) + "\"" +
+                                 (edge.directed() !== directed ?
+                                  " directed=\"" + edge.directed() + "\"" : "");
+
+                if (keys.edge.some(function(key) {
+                    return edge.options[key.name] !== undefined;
+                })) {
+                    lines.push("    " + attributes + ">");
+                    data("edge", edge.options, "      ");
+                    lines.push("    </edge>");
+                } else {
+                    lines.push("    " + attributes + "/>");
+                }
+            });
+
+            lines.push("  </graph>");
+            lines.push("</graphml>");
+            return lines.join("\n") + "\n";
+        }
+    };
+
+    sg.io.register("graphml", GraphML);
+    sg.io.GraphML = GraphML;
+}());
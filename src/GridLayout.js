@@ -0,0 +1,82 @@
+(function () {
+    "use strict";
+
+    if (typeof sg === "undefined") {
+        throw "Module SimpleGraph (sg) is not yet loaded.";
+    }
+
+    /**
+     * Places the nodes in the cells of a grid, row by row,
+     * in the order they are in the graph
+     *
+     * @class sg.Layout.GridLayout
+     * @constructor
+     * @param {Object} [options]
+     *     @param {Number} [options.width=500] width of the area to fit the nodes in
+     *     @param {Number} [options.height=500] height of the area to fit the nodes in
+     *     @param {Number} [options.margin=30] empty space left around the grid
+     *     @param {Number} [options.columns] the number of columns. By default it is
+     *                                       chosen so the cells are close to squares.
+     */
+    function GridLayout(options) {
+        if (options &&
+            Object.prototype.toString.call(options) !== "[object Object]") {
+            throw "the options parameter should be an object.";
+        }
+
+        options = options || {};
+
+        ["width", "height", "margin", "columns"].forEach(function(name) {
+            if (options[name] !== undefined && typeof options[name] !== "number") {
+                throw name + " should be a number";
+            }
+        });
+
+        this.width   = options.width   || 500;
+        this.height  = options.height  || 500;
+        this.margin  = options.margin !== undefined ? options.margin : 30;
+        this.columns = options.columns || 0;
+    }
+
+    GridLayout.prototype = new sg.Layout.AbstractLayout();
+
+    /**
+     * Computes the layout and writes it in each node's *options.pos*
+     *
+     * @method run
+     * @param {sg.Graph} graph
+     * @return {sg.Layout.GridLayout} reference to *this* layout for method chaining
+     * @chainable
+     */
+    GridLayout.prototype.run = function(graph) {
+        if (!(graph instanceof sg.Graph)) {
+            throw "the graph param is not sg.Graph";
+        }
+
+        var nodes = graph.nodes.values();
+        if (nodes.length === 0) {
+            return this;
+        }
+
+        var width  = this.width  - 2 * this.margin;
+        var height = this.height - 2 * this.margin;
+        var columns = this.columns ||
+                      Math.ceil(Math.sqrt(nodes.length * width / Math.max(height, 1)));
+        columns = Math.max(1, Math.min(columns, nodes.length));
+
+        var rows = Math.ceil(nodes.length / columns);
+        var cellWidth  = width  / columns;
+        var cellHeight = height / rows;
+
+        nodes.forEach(function(node, i) {
+            node.options.pos = {
+                x: this.margin + (i % columns + 0.5) * cellWidth,
+                y: this.margin + (Math.floor(i / columns) + 0.5) * cellHeight
+            };
+        }, this);
+
+        return this;
+    };
+
+    window.sg.Layout.GridLayout = GridLayout;
+}());
@@ -0,0 +1,228 @@
+(function () {
+    "use strict";
+
+    if (typeof sg === "undefined") {
+        throw "Module SimpleGraph (sg) is not yet loaded.";
+    }
+
+    // Undoes one change, given by its event, through the graph's methods
+    function undoChange(graph, e) {
+        switch (e.type) {
+            case "nodeAdded":
+                graph.removeNode(e.node);
+                break;
+            case "nodeRemoved":
+                graph.addNode(e.node);
+                break;
+            case "edgeAdded":
+                e.edge.removeFromGraph();
+                break;
+            case "edgeRemoved":
+                e.edge.addToGraph(graph);
+                break;
+            case "directionChanged":
+                if (e.edge !== undefined) {
+                    e.edge.directed(e.previous);
+                    break;
+                }
+
+                // a mixed graph doesn't change its edges, so they are put back one by one
+                graph.direction(e.previous);
+                if (e.previous === sg.DIRECTION.MIXED) {
+                    e.edges.forEach(function(edge) {
+                        edge.directed(!edge.directed());
+                    });
+                }
+                break;
+            case "optionsChanged":
+                e.target.option(e.key, e.previous);
+                break;
+        }
+    }
+
+    // Makes one change again, given by its event, through the graph's methods
+    function redoChange(graph, e) {
+        switch (e.type) {
+            case "nodeAdded":
+                graph.addNode(e.node);
+                break;
+            case "nodeRemoved":
+                graph.removeNode(e.node);
+                break;
+            case "edgeAdded":
+                e.edge.addToGraph(graph);
+                break;
+            case "edgeRemoved":
+                e.edge.removeFromGraph();
+                break;
+            case "directionChanged":
+                if (e.edge !== undefined) {
+                    e.edge.directed(e.value);
+                } else {
+                    graph.direction(e.value);
+                }
+                break;
+            case "optionsChanged":
+                e.target.option(e.key, e.value);
+                break;
+        }
+    }
+
+    /**
+     * Records the changes of a graph, so they can be undone and redone.
+     * Each *change* event of the graph is one step, so all the changes made
+     * in a {{#crossLink "sg.Graph/batch"}}sg.Graph.batch{{/crossLink}} are undone together,
+     * as is a node's drag in the D3Renderer.
+     *
+     * Only the changes the graph fires events for are recorded, so *options*
+     * should be changed with *option(key, value)*.
+     *
+     * @class sg.History
+     * @constructor
+     * @param {sg.Graph} graph
+     * @param {Object} [options]
+     *     @param {Number} [options.depth=100] the max number of steps which can be undone
+     * @example
+     *     var history = new sg.History(graph);
+     *     graph.addNode("1");
+     *     history.undo(); // the node is removed
+     *     history.redo(); // and added again
+     */
+    function History(graph, options) {
+        if (!(graph instanceof sg.Graph)) {
+            throw "the graph param is not sg.Graph";
+        }
+
+        if (options &&
+            Object.prototype.toString.call(options) !== "[object Object]") {
+            throw "the options parameter should be an object.";
+        }
+
+        options = options || {};
+
+        if (options.depth !== undefined &&
+            (typeof options.depth !== "number" || options.depth < 1)) {
+            throw "depth should be a positive number";
+        }
+
+        this.graph = graph;
+        this.depth = options.depth || 100;
+
+        this._undo = [];
+        this._redo = [];
+        this._replaying = false;
+
+        this._onChange = this._record.bind(this);
+        graph.on("change", this._onChange);
+    }
+
+    History.prototype._record = function(e) {
+        if (this._replaying) {
+            return;
+        }
+
+        this._undo.push(e.changes);
+        if (this._undo.length > this.depth) {
+            this._undo.shift();
+        }
+
+        this._redo = [];
+    };
+
+    // Applies the changes in a batch, without recording them
+    History.prototype._replay = function(fn) {
+        this._replaying = true;
+        try {
+            this.graph.batch(fn);
+        } finally {
+            this._replaying = false;
+        }
+    };
+
+    /**
+     * @method canUndo
+     * @return {Boolean} true if there is a step to undo
+     */
+    History.prototype.canUndo = function() {
+        return this._undo.length > 0;
+    };
+
+    /**
+     * @method canRedo
+     * @return {Boolean} true if there is an undone step to redo
+     */
+    History.prototype.canRedo = function() {
+        return this._redo.length > 0;
+    };
+
+    /**
+     * Undoes the last step
+     *
+     * @method undo
+     * @return {sg.History} reference to *this* history for method chaining
+     * @chainable
+     */
+    History.prototype.undo = function() {
+        if (!this.canUndo()) {
+            throw "Nothing to undo.";
+        }
+
+        var changes = this._undo[this._undo.length - 1];
+        this._replay(function(graph) {
+            for (var i = changes.length - 1; i >= 0; i--) {
+                undoChange(graph, changes[i]);
+            }
+        });
+
+        this._redo.push(this._undo.pop());
+        return this;
+    };
+
+    /**
+     * Makes the last undone step again
+     *
+     * @method redo
+     * @return {sg.History} reference to *this* history for method chaining
+     * @chainable
+     */
+    History.prototype.redo = function() {
+        if (!this.canRedo()) {
+            throw "Nothing to redo.";
+        }
+
+        var changes = this._redo[this._redo.length - 1];
+        this._replay(function(graph) {
+            changes.forEach(function(change) {
+                redoChange(graph, change);
+            });
+        });
+
+        this._undo.push(this._redo.pop());
+        return this;
+    };
+
+    /**
+     * Forgets all the steps
+     *
+     * @method clear
+     * @return {sg.History} reference to *this* history for method chaining
+     * @chainable
+     */
+    History.prototype.clear = function() {
+        this._undo = [];
+        this._redo = [];
+        return this;
+    };
+
+    /**
+     * Stops recording the graph's changes
+     *
+     * @method destroy
+     */
+    History.prototype.destroy = function() {
+        this.graph.off("change", this._onChange);
+        this.clear();
+    };
+
+    window.sg.History = History;
+}());
@@ -0,0 +1,730 @@
+(function () {
+    "use strict";
+
+    if (typeof sg === "undefined") {
+        throw "Module SimpleGraph (sg) is not yet loaded.";
+    }
+
+    var RANKERS = ["longest-path", "network-simplex"];
+    var ORIENTATIONS = ["TB", "LR"];
+
+    // Sums the weights of the edges between the same nodes
+    function mergeEdges(edges) {
+        var merged = {};
+        var result = [];
+
+        edges.forEach(function(e) {
+            var key = e.u + ">" + e.v;
+            if (merged[key] === undefined) {
+                merged[key] = { u: e.u, v: e.v, w: 0 };
+                result.push(merged[key]);
+            }
+
+            merged[key].w += e.w;
+        });
+
+        return result;
+    }
+
+    // Reverses the edges going against an order found with the greedy
+    // heuristic of Eades, Lin and Smyth, which makes the graph acyclic.
+    function reverseCycles(n, edges) {
+        var out = [];
+        var inc = [];
+        var outWeight = [];
+        var inWeight = [];
+        var removed = [];
+        var i;
+
+        for (i = 0; i < n; i++) {
+            out.push([]);
+            inc.push([]);
+            outWeight.push(0);
+            inWeight.push(0);
+            removed.push(false);
+        }
+
+        edges.forEach(function(e) {
+            out[e.u].push(e);
+            inc[e.v].push(e);
+            outWeight[e.u] += e.w;
+            inWeight[e.v] += e.w;
+        });
+
+        var remove = function(vertex) {
+            removed[vertex] = true;
+            out[vertex].forEach(function(e) { inWeight[e.v] -= e.w; });
+            inc[vertex].forEach(function(e) { outWeight[e.u] -= e.w; });
+        };
+
+        var left = [];
+        var right = [];
+        var remaining = n;
+
+        while (remaining > 0) {
+            var changed = true;
+            while (changed) {
+                changed = false;
+                for (i = 0; i < n; i++) {
+                    if (removed[i]) {
+                        continue;
+                    }
+
+                    if (outWeight[i] === 0) {
+                        right.unshift(i);
+                        remove(i);
+                        remaining--;
+                        changed = true;
+                    } else if (inWeight[i] === 0) {
+                        left.push(i);
+                        remove(i);
+                        remaining--;
+                        changed = true;
+                    }
+                }
+            }
+
+            var best = -1;
+            for (i = 0; i < n; i++) {
+                if (!removed[i] &&
+                    (best === -1 || outWeight[i] - inWeight[i] > outWeight[best] - inWeight[best])) {
+                    best = i;
+                }
+            }
+
+            if (best !== -1) {
+                left.push(best);
+                remove(best);
+                remaining--;
+            }
+        }
+
+        var position = [];
+        left.concat(right).forEach(function(vertex, i) {
+            position[vertex] = i;
+        });
+
+        return edges.map(function(e) {
+            return position[e.u] < position[e.v] ? e : { u: e.v, v: e.u, w: e.w };
+        });
+    }
+
+    // Topologically sorted vertices of an acyclic graph
+    function topologicalOrder(n, edges) {
+        var inDegree = [];
+        var out = [];
+        var i;
+
+        for (i = 0; i < n; i++) {
+            inDegree.push(0);
+            out.push([]);
+        }
+
+        edges.forEach(function(e) {
+            inDegree[e.v]++;
+            out[e.u].push(e.v);
+        });
+
+        var result = [];
+        for (i = 0; i < n; i++) {
+            if (inDegree[i] === 0) {
+                result.push(i);
+            }
+        }
+
+        for (i = 0; i < result.length; i++) {
+            var next = out[result[i]];
+            for (var j = 0; j < next.length; j++) {
+                if (--inDegree[next[j]] === 0) {
+                    result.push(next[j]);
+                }
+            }
+        }
+
+        return result;
+    }
+
+    // Puts each vertex one layer below the lowest of its predecessors
+    function longestPathRanks(n, edges) {
+        var rank = [];
+        var inc = [];
+        var i;
+
+        for (i = 0; i < n; i++) {
+            rank.push(0);
+            inc.push([]);
+        }
+
+        edges.forEach(function(e) {
+            inc[e.v].push(e);
+        });
+
+        topologicalOrder(n, edges).forEach(function(v) {
+            inc[v].forEach(function(e) {
+                rank[v] = Math.max(rank[v], rank[e.u] + 1);
+            });
+        });
+
+        return rank;
+    }
+
+    // One network simplex run over a connected set of vertices
+    function simplex(vertices, edges, incident, rank) {
+        var slack = function(e) {
+            return rank[e.v] - rank[e.u] - 1;
+        };
+
+        var other = function(e, vertex) {
+            return e.u === vertex ? e.v : e.u;
+        };
+
+        // build a feasible spanning tree of tight edges, shifting the
+        // ranks of the tree when no more tight edges can be added
+        var inTree = {};
+        var treeEdges = [];
+        var tree = [vertices[0]];
+        inTree[vertices[0]] = true;
+
+        var grow = function() {
+            for (var i = 0; i < tree.length; i++) {
+                var list = incident[tree[i]];
+                for (var j = 0; j < list.length; j++) {
+                    var next = other(list[j], tree[i]);
+                    if (!inTree[next] && slack(list[j]) === 0) {
+                        inTree[next] = true;
+                        tree.push(next);
+                        treeEdges.push(list[j]);
+                    }
+                }
+            }
+        };
+
+        var i;
+        grow();
+        while (tree.length < vertices.length) {
+            var best = null;
+            for (i = 0; i < edges.length; i++) {
+                if (inTree[edges[i].u] !== inTree[edges[i].v] &&
+                    (best === null || slack(edges[i]) < slack(best))) {
+                    best = edges[i];
+                }
+            }
+
+            var delta = inTree[best.u] ? slack(best) : -slack(best);
+            for (i = 0; i < tree.length; i++) {
+                rank[tree[i]] += delta;
+            }
+
+            grow();
+        }
+
+        // splits the tree without the passed edge and returns
+        // which vertices are on the side of its tail (e.g. its u end)
+        var tailSide = function(cut) {
+            var side = {};
+            var stack = [cut.u];
+            side[cut.u] = true;
+
+            while (stack.length > 0) {
+                var vertex = stack.pop();
+                for (var i = 0; i < treeEdges.length; i++) {
+                    var e = treeEdges[i];
+                    if (e !== cut && (e.u === vertex || e.v === vertex) && !side[other(e, vertex)]) {
+                        side[other(e, vertex)] = true;
+                        stack.push(other(e, vertex));
+                    }
+                }
+            }
+
+            return side;
+        };
+
+        var cutValue = function(side) {
+            var value = 0;
+            edges.forEach(function(e) {
+                if (side[e.u] && !side[e.v]) {
+                    value += e.w;
+                } else if (!side[e.u] && side[e.v]) {
+                    value -= e.w;
+                }
+            });
+
+            return value;
+        };
+
+        // recomputes the ranks from the (tight) tree edges
+        var rerank = function() {
+            var done = {};
+            var stack = [vertices[0]];
+            done[vertices[0]] = true;
+
+            while (stack.length > 0) {
+                var vertex = stack.pop();
+                for (var i = 0; i < treeEdges.length; i++) {
+                    var e = treeEdges[i];
+                    if (e.u === vertex && !done[e.v]) {
+                        rank[e.v] = rank[e.u] + 1;
+                        done[e.v] = true;
+                        stack.push(e.v);
+                    } else if (e.v === vertex && !done[e.u]) {
+                        rank[e.u] = rank[e.v] - 1;
+                        done[e.u] = true;
+                        stack.push(e.u);
+                    }
+                }
+            }
+        };
+
+        // replace tree edges with negative cut values until there are none
+        var limit = vertices.length * edges.length + 1;
+        for (var iteration = 0; iteration < limit; iteration++) {
+            var leave = null;
+            var side = null;
+            for (i = 0; i < treeEdges.length && leave === null; i++) {
+                side = tailSide(treeEdges[i]);
+                if (cutValue(side) < 0) {
+                    leave = treeEdges[i];
+                }
+            }
+
+            if (leave === null) {
+                break;
+            }
+
+            var enter = null;
+            for (i = 0; i < edges.length; i++) {
+                if (!side[edges[i].u] && side[edges[i].v] &&
+                    (enter === null || slack(edges[i]) < slack(enter))) {
+                    enter = edges[i];
+                }
+            }
+
+            treeEdges[treeEdges.indexOf(leave)] = enter;
+            rerank();
+        }
+
+        var min = Math.min.apply(Math, vertices.map(function(vertex) {
+            return rank[vertex];
+        }));
+
+        vertices.forEach(function(vertex) {
+            rank[vertex] -= min;
+        });
+    }
+
+    // The network simplex ranking of Gansner et al. It minimizes the total
+    // (weighted) length of the edges, starting from the longest path ranking.
+    // Each weakly connected component is ranked on its own.
+    function networkSimplexRanks(n, edges) {
+        var rank = longestPathRanks(n, edges);
+        var incident = [];
+        var i;
+
+        for (i = 0; i < n; i++) {
+            incident.push([]);
+        }
+
+        edges.forEach(function(e) {
+            incident[e.u].push(e);
+            incident[e.v].push(e);
+        });
+
+        var component = [];
+        for (i = 0; i < n; i++) {
+            component.push(-1);
+        }
+
+        var components = [];
+        for (i = 0; i < n; i++) {
+            if (component[i] !== -1) {
+                continue;
+            }
+
+            var vertices = [i];
+            var componentEdges = [];
+            component[i] = components.length;
+            for (var j = 0; j < vertices.length; j++) {
+                var list = incident[vertices[j]];
+                for (var k = 0; k < list.length; k++) {
+                    var other = list[k].u === vertices[j] ? list[k].v : list[k].u;
+                    if (list[k].u === vertices[j]) {
+                        componentEdges.push(list[k]);
+                    }
+
+                    if (component[other] === -1) {
+                        component[other] = components.length;
+                        vertices.push(other);
+                    }
+                }
+            }
+
+            components.push({ vertices: vertices, edges: componentEdges });
+        }
+
+        components.forEach(function(c) {
+            simplex(c.vertices, c.edges, incident, rank);
+        });
+
+        return rank;
+    }
+
+    // Creates the layers of vertices. Edges spanning more than one layer
+    // are split with dummy vertices, one in each layer they pass.
+    function buildLayers(n, edges, rank) {
+        var layers = [];
+        var vertices = [];
+        var i;
+
+        var add = function(vertex, r) {
+            while (layers.length <= r) {
+                layers.push([]);
+            }
+
+            vertex.up = [];
+            vertex.down = [];
+            vertices.push(vertex);
+            layers[r].push(vertex);
+            return vertex;
+        };
+
+        for (i = 0; i < n; i++) {
+            add({ id: i, dummy: false }, rank[i]);
+        }
+
+        edges.forEach(function(e) {
+            var previous = vertices[e.u];
+            for (var r = rank[e.u] + 1; r <= rank[e.v]; r++) {
+                var next = r === rank[e.v] ? vertices[e.v] :
+                           add({ id: vertices.length, dummy: true }, r);
+
+                previous.down.push(next);
+                next.up.push(previous);
+                previous = next;
+            }
+        });
+
+        return layers;
+    }
+
+    // Counts the crossings between two adjacent layers
+    // by counting the inversions with a Fenwick tree
+    function crossings(upper, lower, position) {
+        var pairs = [];
+        upper.forEach(function(vertex) {
+            vertex.down.forEach(function(other) {
+                pairs.push([position[vertex.id], position[other.id]]);
+            });
+        });
+
+        pairs.sort(function(a, b) {
+            return a[0] - b[0] || a[1] - b[1];
+        });
+
+        var tree = [];
+        var i;
+        for (i = 0; i <= lower.length; i++) {
+            tree.push(0);
+        }
+
+        var count = 0;
+        pairs.forEach(function(pair, seen) {
+            var smallerOrEqual = 0;
+            for (i = pair[1] + 1; i > 0; i -= i & -i) {
+                smallerOrEqual += tree[i];
+            }
+
+            count += seen - smallerOrEqual;
+
+            for (i = pair[1] + 1; i <= lower.length; i += i & -i) {
+                tree[i]++;
+            }
+        });
+
+        return count;
+    }
+
+    function positions(layers) {
+        var position = [];
+        layers.forEach(function(layer) {
+            layer.forEach(function(vertex, i) {
+                position[vertex.id] = i;
+            });
+        });
+
+        return position;
+    }
+
+    function totalCrossings(layers) {
+        var position = positions(layers);
+        var count = 0;
+        for (var i = 1; i < layers.length; i++) {
+            count += crossings(layers[i - 1], layers[i], position);
+        }
+
+        return count;
+    }
+
+    // Orders each layer by the barycenters of the neighbours in the previous
+    // (or next) layer, sweeping down and up, and keeps the best order found
+    function order(layers, sweeps) {
+        var copy = function(layers) {
+            return layers.map(function(layer) { return layer.slice(); });
+        };
+
+        var best = copy(layers);
+        var bestCrossings = totalCrossings(layers);
+
+        var sortLayer = function(layer, neighbours, position) {
+            var barycenter = {};
+            layer.forEach(function(vertex, i) {
+                var list = vertex[neighbours];
+                if (list.length === 0) {
+                    barycenter[vertex.id] = i;
+                    return;
+                }
+
+                barycenter[vertex.id] = list.reduce(function(sum, other) {
+                    return sum + position[other.id];
+                }, 0) / list.length;
+            });
+
+            // sort is not guaranteed to be stable, so the current position breaks ties
+            layer.sort(function(a, b) {
+                return barycenter[a.id] - barycenter[b.id] ||
+                       position[a.id] - position[b.id];
+            });
+
+            layer.forEach(function(vertex, i) {
+                position[vertex.id] = i;
+            });
+        };
+
+        for (var sweep = 0; sweep < sweeps && bestCrossings > 0; sweep++) {
+            var position = positions(layers);
+            var i;
+
+            if (sweep % 2 === 0) {
+                for (i = 1; i < layers.length; i++) {
+                    sortLayer(layers[i], "up", position);
+                }
+            } else {
+                for (i = layers.length - 2; i >= 0; i--) {
+                    sortLayer(layers[i], "down", position);
+                }
+            }
+
+            var count = totalCrossings(layers);
+            if (count < bestCrossings) {
+                bestCrossings = count;
+                best = copy(layers);
+            }
+        }
+
+        return best;
+    }
+
+    // Places the vertices of each layer as close as possible to the
+    // average of their neighbours, keeping their order and spacing.
+    // Each layer is an isotonic regression solved by pool adjacent violators.
+    function coordinates(layers, spacing) {
+        var coords = [];
+        layers.forEach(function(layer) {
+            layer.forEach(function(vertex, i) {
+                coords[vertex.id] = i * spacing;
+            });
+        });
+
+        var place = function(layer, neighbours) {
+            var blocks = [];
+            layer.forEach(function(vertex, i) {
+                var list = neighbours ? vertex[neighbours] : vertex.up.concat(vertex.down);
+
+                var desired = list.length === 0 ? coords[vertex.id] :
+                              list.reduce(function(sum, other) {
+                                  return sum + coords[other.id];
+                              }, 0) / list.length;
+
+                var block = { sum: desired - i * spacing, count: 1 };
+                block.value = block.sum;
+                blocks.push(block);
+
+                while (blocks.length > 1 &&
+                       blocks[blocks.length - 2].value > blocks[blocks.length - 1].value) {
+                    var last = blocks.pop();
+                    var previous = blocks[blocks.length - 1];
+                    previous.sum += last.sum;
+                    previous.count += last.count;
+                    previous.value = previous.sum / previous.count;
+                }
+            });
+
+            var i = 0;
+            blocks.forEach(function(block) {
+                for (var j = 0; j < block.count; j++, i++) {
+                    coords[layer[i].id] = block.value + i * spacing;
+                }
+            });
+        };
+
+        for (var pass = 0; pass < 4; pass++) {
+            var i;
+            for (i = 1; i < layers.length; i++) {
+                place(layers[i], "up");
+            }
+
+            for (i = layers.length - 2; i >= 0; i--) {
+                place(layers[i], "down");
+            }
+        }
+
+        for (var j = 0; j < layers.length; j++) {
+            place(layers[j]);
+        }
+
+        return coords;
+    }
+
+    /**
+     * Layered (Sugiyama style) layout for directed graphs. The cycles are broken
+     * by reversing a small set of edges, the nodes are assigned to layers so that
+     * the edges point down (or right), and the order in each layer is chosen
+     * to reduce the edge crossings. Undirected edges in mixed graphs are
+     * treated as directed source->target.
+     *
+     * @class sg.Layout.LayeredLayout
+     * @constructor
+     * @param {Object} [options]
+     *     @param {Number} [options.width=500] width of the area to fit the nodes in
+     *     @param {Number} [options.height=500] height of the area to fit the nodes in
+     *     @param {Number} [options.margin=30] empty space left around the nodes
+     *     @param {Number} [options.nodeSpacing=50] the desired distance between nodes in a layer
+     *     @param {String} [options.orientation="TB"] "TB" for top-down layers,
+     *                                                "LR" for left-right ones
+     *     @param {String} [options.ranker="network-simplex"] how the layers are assigned:
+     *                                                       "longest-path" or "network-simplex"
+     *     @param {Number} [options.sweeps=24] the max number of crossing reduction sweeps
+     * @example
+     *     new sg.Layout.LayeredLayout({ orientation: "LR" }).run(graph);
+     */
+    function LayeredLayout(options) {
+        if (options &&
+            Object.prototype.toString.call(options) !== "[object Object]") {
+            throw "the options parameter should be an object.";
+        }
+
+        options = options || {};
+
+        ["width", "height", "margin", "nodeSpacing", "sweeps"].forEach(function(name) {
+            if (options[name] !== undefined && typeof options[name] !== "number") {
+                throw name + " should be a number";
+            }
+        });
+
+        if (options.orientation !== undefined &&
+            ORIENTATIONS.indexOf(options.orientation) === -1) {
+            throw "orientation should be one of " + ORIENTATIONS.join(", ");
+        }
+
+        if (options.ranker !== undefined && RANKERS.indexOf(options.ranker) === -1) {
+            throw "ranker should be one of " + RANKERS.join(", ");
+        }
+
+        this.width       = options.width       || 500;
+        this.height      = options.height      || 500;
+        this.margin      = options.margin !== undefined ? options.margin : 30;
+        this.nodeSpacing = options.nodeSpacing || 50;
+        this.orientation = options.orientation || "TB";
+        this.ranker      = options.ranker      || "network-simplex";
+        this.sweeps      = options.sweeps      || 24;
+    }
+
+    LayeredLayout.prototype = new sg.Layout.AbstractLayout();
+
+    /**
+     * Computes the layout and writes it in each node's *options.pos*
+     *
+     * @method run
+     * @param {sg.Graph} graph
+     * @return {sg.Layout.LayeredLayout} reference to *this* layout for method chaining
+     * @chainable
+     */
+    LayeredLayout.prototype.run = function(graph) {
+        if (!(graph instanceof sg.Graph)) {
+            throw "the graph param is not sg.Graph";
+        }
+
+        var ids = graph.nodes.keys();
+        if (ids.length === 0) {
+            return this;
+        }
+
+        var index = {};
+        ids.forEach(function(id, i) {
+            index[id] = i;
+        });
+
+        var edges = [];
+        graph.edges.forEach(function(edge) {
+            var u = index[edge.getSource()._id];
+            var v = index[edge.getTarget()._id];
+
+            if (u !== v) {
+                edges.push({ u: u, v: v, w: 1 });
+            }
+        });
+
+        edges = mergeEdges(reverseCycles(ids.length, mergeEdges(edges)));
+
+        var rank = this.ranker === "network-simplex" ?
+                   networkSimplexRanks(ids.length, edges) :
+                   longestPathRanks(ids.length, edges);
+
+        var layers = order(buildLayers(ids.length, edges, rank), this.sweeps);
+        this._position(graph, ids, layers);
+
+        return this;
+    };
+
+    LayeredLayout.prototype._position = function(graph, ids, layers) {
+        var horizontal = this.orientation === "LR";
+        var along  = (horizontal ? this.height : this.width)  - 2 * this.margin;
+        var across = (horizontal ? this.width  : this.height) - 2 * this.margin;
+
+        var widest = Math.max.apply(Math, layers.map(function(layer) {
+            return layer.length;
+        }));
+        var spacing = widest > 1 ? Math.min(this.nodeSpacing, along / (widest - 1)) : 0;
+        var coords = coordinates(layers, spacing);
+
+        var min = Infinity;
+        var max = -Infinity;
+        layers.forEach(function(layer) {
+            layer.forEach(function(vertex) {
+                min = Math.min(min, coords[vertex.id]);
+                max = Math.max(max, coords[vertex.id]);
+            });
+        });
+
+        // fit the layers in the area, keeping the drawing centered
+        var scale = max - min > along ? along / (max - min) : 1;
+        var shift = this.margin + (along - (max - min) * scale) / 2;
+        var layerSpacing = layers.length > 1 ? across / (layers.length - 1) : 0;
+        var layerShift = this.margin + (layers.length > 1 ? 0 : across / 2);
+
+        layers.forEach(function(layer, r) {
+            layer.forEach(function(vertex) {
+                if (vertex.dummy) {
+                    return;
+                }
+
+                var a = shift + (coords[vertex.id] - min) * scale;
+                var b = layerShift + r * layerSpacing;
+                var node = graph.nodes.get(ids[vertex.id]);
+
+                node.options.pos = horizontal ? { x: b, y: a } : { x: a, y: b };
+            });
+        });
+    };
+
+    window.sg.Layout.LayeredLayout = LayeredLayout;
+}());
@@ -0,0 +1,147 @@
+(function () {
+    "use strict";
+
+    if (typeof sg === "undefined") {
+        throw "Module SimpleGraph (sg) is not yet loaded.";
+    }
+
+    /**
+     * Places the root node in the center and the others on rings around it,
+     * by their breadth-first search depth from the root, following the edges in both
+     * directions. Each node gets a part
+     * of its parent's angle proportional to the size of its subtree.
+     * The nodes the search can't reach are put on one more ring outside.
+     *
+     * @class sg.Layout.RadialLayout
+     * @constructor
+     * @param {Object} [options]
+     *     @param {Number} [options.width=500] width of the area to fit the nodes in
+     *     @param {Number} [options.height=500] height of the area to fit the nodes in
+     *     @param {Number} [options.margin=30] empty space left around the outer ring
+     *     @param {String} [options.root] the id of the root node.
+     *                                    The node with the most edges by default.
+     */
+    function RadialLayout(options) {
+        if (options &&
+            Object.prototype.toString.call(options) !== "[object Object]") {
+            throw "the options parameter should be an object.";
+        }
+
+        options = options || {};
+
+        ["width", "height", "margin"].forEach(function(name) {
+            if (options[name] !== undefined && typeof options[name] !== "number") {
+                throw name + " should be a number";
+            }
+        });
+
+        if (options.root !== undefined && typeof options.root !== "string") {
+            throw "root should be a string";
+        }
+
+        this.width  = options.width  || 500;
+        this.height = options.height || 500;
+        this.margin = options.margin !== undefined ? options.margin : 30;
+        this.root   = options.root;
+    }
+
+    RadialLayout.prototype = new sg.Layout.AbstractLayout();
+
+    /**
+     * Computes the layout and writes it in each node's *options.pos*
+     *
+     * @method run
+     * @param {sg.Graph} graph
+     * @return {sg.Layout.RadialLayout} reference to *this* layout for method chaining
+     * @chainable
+     */
+    RadialLayout.prototype.run = function(graph) {
+        if (!(graph instanceof sg.Graph)) {
+            throw "the graph param is not sg.Graph";
+        }
+
+        var nodes = graph.nodes.values();
+        if (nodes.length === 0) {
+            return this;
+        }
+
+        var root = this.root !== undefined ? graph.getNode(this.root) :
+                   nodes.reduce(function(best, node) {
+                       return node.degree() > best.degree() ? node : best;
+                   });
+
+        if (root === undefined) {
+            throw "Node \"" + this.root + "\" isn't in the graph.";
+        }
+
+        // breadth-first search tree
+        var depth = {};
+        var children = {};
+        var queue = [root];
+        depth[root._id] = 0;
+
+        for (var i = 0; i < queue.length; i++) {
+            var node = queue[i];
+            var neighbors = node.neighbors();
+            children[node._id] = [];
+
+            for (var j = 0; j < neighbors.length; j++) {
+                var next = neighbors[j];
+                if (depth[next._id] === undefined) {
+                    depth[next._id] = depth[node._id] + 1;
+                    children[node._id].push(next);
+                    queue.push(next);
+                }
+            }
+        }
+
+        // the number of leaves in each subtree, counted bottom-up
+        var leaves = {};
+        queue.slice().reverse().forEach(function(node) {
+            leaves[node._id] = Math.max(1, children[node._id].reduce(function(sum, child) {
+                return sum + leaves[child._id];
+            }, 0));
+        });
+
+        var unreached = nodes.filter(function(node) {
+            return depth[node._id] === undefined;
+        });
+
+        var rings = depth[queue[queue.length - 1]._id] + (unreached.length > 0 ? 1 : 0);
+        var cx = this.width / 2;
+        var cy = this.height / 2;
+        var spacing = rings > 0 ?
+                      Math.max(0, Math.min(this.width, this.height) / 2 - this.margin) / rings : 0;
+
+        var place = function(node, radius, angle) {
+            node.options.pos = {
+                x: cx + radius * Math.cos(angle),
+                y: cy + radius * Math.sin(angle)
+            };
+        };
+
+        // give each child a wedge of its parent's wedge and put it in the middle of it
+        var wedges = {};
+        wedges[root._id] = { from: -Math.PI / 2, size: 2 * Math.PI };
+        queue.forEach(function(node) {
+            var wedge = wedges[node._id];
+            var from = wedge.from;
+
+            place(node, depth[node._id] * spacing, wedge.from + wedge.size / 2);
+
+            children[node._id].forEach(function(child) {
+                var size = wedge.size * leaves[child._id] / leaves[node._id];
+                wedges[child._id] = { from: from, size: size };
+                from += size;
+            });
+        });
+
+        unreached.forEach(function(node, i) {
+            place(node, rings * spacing, -Math.PI / 2 + 2 * Math.PI * i / unreached.length);
+        });
+
+        return this;
+    };
+
+    window.sg.Layout.RadialLayout = RadialLayout;
+}());
@@ -0,0 +1,732 @@
+(function () {
+    "use strict";
+
+    if (typeof sg === "undefined") {
+        throw "Module SimpleGraph (sg) is not yet loaded.";
+    }
+
+    function checkGraph(graph) {
+        if (!(graph instanceof sg.Graph)) {
+            throw "the graph param is not sg.Graph";
+        }
+    }
+
+    function checkOptions(options) {
+        if (options && Object.prototype.toString.call(options) !== "[object Object]") {
+            throw "the options parameter should be an object.";
+        }
+
+        return options || {};
+    }
+
+    // The node of the graph given by itself or by its id
+    function getNode(graph, node, name) {
+        var id = node instanceof sg.Node ? node.getId() : node;
+        if (graph.getNode(id) === undefined ||
+            (node instanceof sg.Node && graph.getNode(id) !== node)) {
+            throw "The " + name + " node is not in this graph.";
+        }
+
+        return graph.getNode(id);
+    }
+
+    // The end of the edge other than node; an undirected selfloop leads back to node
+    function otherEnd(edge, node) {
+        return edge.getSource() === node ? edge.getTarget() : edge.getSource();
+    }
+
+    /**
+     * Makes the function giving the weight of an edge, when it's followed from a node
+     * to another, from the *weight* option of the algorithms.
+     *
+     * @method weight
+     * @for sg.algorithms
+     * @param {String|Function} [weight="weight"] the edges' option with the weight, whose
+     *                                            value is 1 if it's not set, or a function
+     *                                            of (edge, from, to) returning the weight
+     * @return {Function} function(edge, from, to) returning a number
+     */
+    function weight(weight) {
+        weight = weight !== undefined ? weight : "weight";
+        if (typeof weight !== "string" && typeof weight !== "function") {
+            throw "weight should be an option's name or a function.";
+        }
+
+        return function(edge, from, to) {
+            var w = typeof weight === "function" ? weight(edge, from, to) : edge.options[weight];
+            if (w === undefined && typeof weight === "string") {
+                return 1;
+            }
+
+            if (typeof w !== "number" || isNaN(w)) {
+                throw "The weight of the edge \"" + edge.getId() + "\" should be a number.";
+            }
+
+            return w;
+        };
+    }
+
+    /**
+     * The shortest paths from a node, found by
+     * {{#crossLink "sg.algorithms/dijkstra"}}dijkstra{{/crossLink}} or
+     * {{#crossLink "sg.algorithms/bellmanFord"}}bellmanFord{{/crossLink}}
+     *
+     * @class sg.algorithms.ShortestPaths
+     * @constructor
+     * @param {sg.Node} source
+     */
+    function ShortestPaths(source) {
+        /**
+         * The node the paths start from
+         *
+         * @property source
+         * @type sg.Node
+         */
+        this.source = source;
+
+        /**
+         * The distance to each node reached, by their ids
+         *
+         * @property distances
+         * @type Object of String->Number
+         */
+        this.distances = {};
+        this.distances[source.getId()] = 0;
+
+        /**
+         * The last edge of the path to each node reached, except the source, by their ids
+         *
+         * @property previous
+         * @type Object of String->sg.Edge
+         */
+        this.previous = {};
+
+        /**
+         * The edges of a cycle whose weights add up to less than 0, reachable from the source
+         * (only found by Bellman-Ford), or null. If there is one, the distances are wrong.
+         *
+         * @property negativeCycle
+         * @type Array of sg.Edge
+         * @default null
+         */
+        this.negativeCycle = null;
+    }
+
+    /**
+     * @method distanceTo
+     * @param {sg.Node|String} node the node (or its id)
+     * @return {Number} the distance to the node, Infinity if it can't be reached
+     */
+    ShortestPaths.prototype.distanceTo = function(node) {
+        var id = node instanceof sg.Node ? node.getId() : node;
+        return this.distances.hasOwnProperty(id) ? this.distances[id] : Infinity;
+    };
+
+    /**
+     * Get the shortest path to a node
+     *
+     * @method pathTo
+     * @param {sg.Node|String} node the node (or its id)
+     * @return {Object} { distance, nodes, edges } with the nodes from the source to
+     *                  the node and the edges between them, or null if it can't be reached
+     */
+    ShortestPaths.prototype.pathTo = function(node) {
+        if (this.negativeCycle !== null) {
+            throw "There is a negative cycle.";
+        }
+
+        var id = node instanceof sg.Node ? node.getId() : node;
+        if (!this.distances.hasOwnProperty(id)) {
+            return null;
+        }
+
+        var distance = this.distances[id];
+        var edges = [];
+        var nodes = [];
+        while (id !== this.source.getId()) {
+            var edge = this.previous[id];
+            var to = edge.getSource().getId() === id ? edge.getSource() : edge.getTarget();
+            edges.unshift(edge);
+            nodes.unshift(to);
+            id = otherEnd(edge, to).getId();
+        }
+
+        nodes.unshift(this.source);
+        return { distance: distance, nodes: nodes, edges: edges };
+    };
+
+    // A queue of { node, priority, ... } giving the lowest priority first
+    function queue() {
+        return new buckets.PriorityQueue(function(a, b) {
+            return b.priority - a.priority;
+        });
+    }
+
+    // Follows the edges of a node reached at the given distance, updating the paths
+    // to the other nodes when they get shorter, and passing these nodes to reached
+    function expand(paths, node, distance, weightOf, algorithm, reached) {
+        var edges = node.outEdges();
+        for (var i = 0; i < edges.length; i++) {
+            var edge = edges[i];
+            var to = otherEnd(edge, node);
+            var w = weightOf(edge, node, to);
+            if (w < 0) {
+                throw algorithm + " doesn't allow negative weights (edge \"" + edge.getId() + "\").";
+            }
+
+            if (distance + w < paths.distanceTo(to)) {
+                paths.distances[to.getId()] = distance + w;
+                paths.previous[to.getId()] = edge;
+                reached(to, distance + w);
+            }
+        }
+    }
+
+    // Each edge as the ways it can be followed: { edge, from, to, weight }
+    function getArcs(graph, weightOf) {
+        var arcs = [];
+        graph.edges.forEach(function(edge) {
+            var s = edge.getSource();
+            var t = edge.getTarget();
+            arcs.push({ edge: edge, from: s, to: t, weight: weightOf(edge, s, t) });
+            if (!edge.directed() && s !== t) {
+                arcs.push({ edge: edge, from: t, to: s, weight: weightOf(edge, t, s) });
+            }
+        });
+
+        return arcs;
+    }
+
+    /**
+     * The shortest paths between all the nodes of a graph, found by
+     * {{#crossLink "sg.algorithms/floydWarshall"}}floydWarshall{{/crossLink}} or
+     * {{#crossLink "sg.algorithms/johnson"}}johnson{{/crossLink}}, and the measures
+     * of the graph which come from their distances
+     *
+     * @class sg.algorithms.AllShortestPaths
+     * @constructor
+     * @param {sg.Graph} graph
+     */
+    function AllShortestPaths(graph) {
+        var ids = graph.nodes.keys();
+
+        /**
+         * The graph's nodes, by their ids
+         *
+         * @private
+         * @property _nodes
+         * @type Object of String->sg.Node
+         */
+        this._nodes = {};
+
+        /**
+         * The distance from each node to each other, by their ids: *distances[a][b]*
+         * is the distance from a to b, Infinity if b can't be reached from a
+         *
+         * @property distances
+         * @type Object of String->Object of String->Number
+         */
+        this.distances = {};
+
+        /**
+         * The next node on the shortest path from each node to each other, by their ids:
+         * *next[a][b]* is the id of the node after a on the path from a to b, null if b can't
+         * be reached from a or if b is a
+         *
+         * @property next
+         * @type Object of String->Object of String->String
+         */
+        this.next = {};
+
+        /**
+         * The first edge of each path, like *next*
+         *
+         * @private
+         * @property _edges
+         * @type Object of String->Object of String->sg.Edge
+         */
+        this._edges = {};
+
+        ids.forEach(function(a) {
+            this._nodes[a] = graph.getNode(a);
+            this.distances[a] = {};
+            this.next[a] = {};
+            this._edges[a] = {};
+            ids.forEach(function(b) {
+                this.distances[a][b] = a === b ? 0 : Infinity;
+                this.next[a][b] = null;
+                this._edges[a][b] = null;
+            }, this);
+        }, this);
+    }
+
+    function idOf(node) {
+        return node instanceof sg.Node ? node.getId() : node;
+    }
+
+    /**
+     * Get the shortest path between two nodes
+     *
+     * @method path
+     * @param {sg.Node|String} a the first node (or its id)
+     * @param {sg.Node|String} b the last node (or its id)
+     * @return {Object} { distance, nodes, edges } with the nodes from a to b and the edges
+     *                  between them, or null if b can't be reached from a
+     */
+    AllShortestPaths.prototype.path = function(a, b) {
+        a = idOf(a);
+        b = idOf(b);
+        if (!this._nodes.hasOwnProperty(a) || !this._nodes.hasOwnProperty(b)) {
+            throw "The node is not in this graph.";
+        }
+
+        if (this.distances[a][b] === Infinity) {
+            return null;
+        }
+
+        var nodes = [this._nodes[a]];
+        var edges = [];
+        var id = a;
+        while (id !== b) {
+            edges.push(this._edges[id][b]);
+            id = this.next[id][b];
+            nodes.push(this._nodes[id]);
+        }
+
+        return { distance: this.distances[a][b], nodes: nodes, edges: edges };
+    };
+
+    /**
+     * Get the eccentricity of each node: the greatest distance from it to another node,
+     * Infinity if some nodes can't be reached from it
+     *
+     * @method eccentricity
+     * @return {Object of String->Number} the eccentricities, by the nodes' ids
+     */
+    AllShortestPaths.prototype.eccentricity = function() {
+        var eccentricity = {};
+        Object.keys(this.distances).forEach(function(a) {
+            var row = this.distances[a];
+            eccentricity[a] = Object.keys(row).reduce(function(max, b) {
+                return Math.max(max, row[b]);
+            }, 0);
+        }, this);
+
+        return eccentricity;
+    };
+
+    /**
+     * @method diameter
+     * @return {Number} the greatest eccentricity of the nodes, undefined for a graph without nodes
+     */
+    AllShortestPaths.prototype.diameter = function() {
+        var eccentricity = this.eccentricity();
+        var values = Object.keys(eccentricity).map(function(id) {
+            return eccentricity[id];
+        });
+
+        return values.length > 0 ? Math.max.apply(Math, values) : undefined;
+    };
+
+    /**
+     * @method radius
+     * @return {Number} the least eccentricity of the nodes, undefined for a graph without nodes
+     */
+    AllShortestPaths.prototype.radius = function() {
+        var eccentricity = this.eccentricity();
+        var values = Object.keys(eccentricity).map(function(id) {
+            return eccentricity[id];
+        });
+
+        return values.length > 0 ? Math.min.apply(Math, values) : undefined;
+    };
+
+    /**
+     * @method center
+     * @return {Array of String} the ids of the nodes whose eccentricity is the radius
+     */
+    AllShortestPaths.prototype.center = function() {
+        var eccentricity = this.eccentricity();
+        var radius = this.radius();
+        return Object.keys(eccentricity).filter(function(id) {
+            return eccentricity[id] === radius;
+        });
+    };
+
+    /**
+     * @method periphery
+     * @return {Array of String} the ids of the nodes whose eccentricity is the diameter
+     */
+    AllShortestPaths.prototype.periphery = function() {
+        var eccentricity = this.eccentricity();
+        var diameter = this.diameter();
+        return Object.keys(eccentricity).filter(function(id) {
+            return eccentricity[id] === diameter;
+        });
+    };
+
+    /**
+     * Graph algorithms. They follow the edges in their direction: a directed edge
+     * only from its source to its target, an undirected one both ways.
+     *
+     * @class sg.algorithms
+     * @static
+     */
+    var algorithms = {
+        weight: weight,
+
+        /**
+         * Finds the shortest paths from a node with Dijkstra's algorithm.
+         * The weights can't be negative.
+         *
+         * @method dijkstra
+         * @param {sg.Graph} graph
+         * @param {sg.Node|String} source the node the paths start from (or its id)
+         * @param {Object} [options]
+         *     @param {String|Function} [options.weight="weight"] the edges' option with
+         *                              the weight, or a function of (edge, from, to).
+         *                              See {{#crossLink "sg.algorithms/weight"}}weight{{/crossLink}}.
+         *     @param {sg.Node|String} [options.target] if passed, the search stops when
+         *                                              the shortest path to it is found,
+         *                                              so the other paths may not be the shortest
+         * @return {sg.algorithms.ShortestPaths}
+         * @example
+         *     var paths = sg.algorithms.dijkstra(graph, "a", { weight: "km" });
+         *     var path = paths.pathTo("b"); // { distance, nodes, edges }, or null
+         */
+        dijkstra: function(graph, source, options) {
+            checkGraph(graph);
+            options = checkOptions(options);
+            source = getNode(graph, source, "source");
+
+            var target = options.target !== undefined ? getNode(graph, options.target, "target") : null;
+            var weightOf = weight(options.weight);
+            var paths = new ShortestPaths(source);
+            var settled = {};
+            var q = queue();
+            var reached = function(node, distance) {
+                q.enqueue({ node: node, priority: distance });
+            };
+
+            q.enqueue({ node: source, priority: 0 });
+            while (!q.isEmpty()) {
+                var node = q.dequeue().node;
+                if (settled[node.getId()]) {
+                    continue;
+                }
+
+                settled[node.getId()] = true;
+                if (node === target) {
+                    break;
+                }
+
+                expand(paths, node, paths.distances[node.getId()], weightOf,
+                       "Dijkstra's algorithm", reached);
+            }
+
+            return paths;
+        },
+
+        /**
+         * Finds the shortest path between two nodes with the A* algorithm, which searches
+         * first towards the target, guided by a heuristic. The weights can't be negative.
+         *
+         * @method astar
+         * @param {sg.Graph} graph
+         * @param {sg.Node|String} source the node the path starts from (or its id)
+         * @param {sg.Node|String} target the node the path ends at (or its id)
+         * @param {Object} [options]
+         *     @param {String|Function} [options.weight="weight"] the edges' option with
+         *                              the weight, or a function of (edge, from, to)
+         *     @param {Function} [options.heuristic] function(node, target) estimating the
+         *                       distance from a node to the target. It shouldn't be more than
+         *                       the real distance, or the path found may not be the shortest.
+         *                       Without it, the search is the same as Dijkstra's.
+         * @return {Object} { distance, nodes, edges }, or null if the target can't be reached
+         * @example
+         *     var path = sg.algorithms.astar(graph, "a", "b", {
+         *         weight: "length",
+         *         heuristic: sg.algorithms.euclidean
+         *     });
+         */
+        astar: function(graph, source, target, options) {
+            checkGraph(graph);
+            options = checkOptions(options);
+            source = getNode(graph, source, "source");
+            target = getNode(graph, target, "target");
+
+            var heuristic = options.heuristic || function() { return 0; };
+            if (typeof heuristic !== "function") {
+                throw "heuristic should be a function.";
+            }
+
+            var weightOf = weight(options.weight);
+            var paths = new ShortestPaths(source);
+            var q = queue();
+            var reached = function(node, distance) {
+                q.enqueue({ node: node, distance: distance, priority: distance + heuristic(node, target) });
+            };
+
+            q.enqueue({ node: source, distance: 0, priority: heuristic(source, target) });
+            while (!q.isEmpty()) {
+                var item = q.dequeue();
+                var node = item.node;
+
+                // an outdated item, the node was reached by a shorter path since
+                if (item.distance > paths.distances[node.getId()]) {
+                    continue;
+                }
+
+                if (node === target) {
+                    return paths.pathTo(target);
+                }
+
+                expand(paths, node, item.distance, weightOf, "A*", reached);
+            }
+
+            return null;
+        },
+
+        /**
+         * A heuristic for {{#crossLink "sg.algorithms/astar"}}astar{{/crossLink}}: the straight
+         * line distance between the *pos* options of the nodes, 0 if one of them has none.
+         * It's right when the weights of the edges are at least the distances between their nodes.
+         *
+         * @method euclidean
+         * @param {sg.Node} node
+         * @param {sg.Node} target
+         * @return {Number}
+         */
+        euclidean: function(node, target) {
+            var a = node.options.pos;
+            var b = target.options.pos;
+            if (!a || !b) {
+                return 0;
+            }
+
+            return Math.sqrt((a.x - b.x) * (a.x - b.x) + (a.y - b.y) * (a.y - b.y));
+        },
+
+        /**
+         * Finds the shortest paths from a node with the Bellman-Ford algorithm, which allows
+         * negative weights. If a cycle with a negative total weight can be reached from the node,
+         * there are no shortest paths: its edges are in the result's *negativeCycle*.
+         * An undirected edge with a negative weight is such a cycle.
+         *
+         * @method bellmanFord
+         * @param {sg.Graph} graph
+         * @param {sg.Node|String} source the node the paths start from (or its id)
+         * @param {Object} [options]
+         *     @param {String|Function} [options.weight="weight"] the edges' option with
+         *                              the weight, or a function of (edge, from, to)
+         * @return {sg.algorithms.ShortestPaths}
+         * @example
+         *     var paths = sg.algorithms.bellmanFord(graph, "a");
+         *     if (paths.negativeCycle !== null) {
+         *         console.log("arbitrage!");
+         *     }
+         */
+        bellmanFord: function(graph, source, options) {
+            checkGraph(graph);
+            options = checkOptions(options);
+            source = getNode(graph, source, "source");
+
+            var arcs = getArcs(graph, weight(options.weight));
+            var paths = new ShortestPaths(source);
+
+            var relax = function(arc) {
+                var distance = paths.distanceTo(arc.from) + arc.weight;
+                if (distance < paths.distanceTo(arc.to)) {
+                    paths.distances[arc.to.getId()] = distance;
+                    paths.previous[arc.to.getId()] = arc.edge;
+                    return arc.to;
+                }
+
+                return null;
+            };
+
+            var changed = true;
+            var i, j;
+            for (i = 1; i < graph.nodes.size() && changed; i++) {
+                changed = false;
+                for (j = 0; j < arcs.length; j++) {
+                    changed = relax(arcs[j]) !== null || changed;
+                }
+            }
+
+            // with no negative cycle, the paths can't be shortened any more
+            var last = null;
+            for (j = 0; j < arcs.length && last === null; j++) {
+                last = relax(arcs[j]);
+            }
+
+            if (last !== null) {
+                // going back n times from the node changed lands on the cycle
+                var node = last;
+                for (i = 0; i < graph.nodes.size(); i++) {
+                    node = otherEnd(paths.previous[node.getId()], node);
+                }
+
+                var cycle = [];
+                var current = node;
+                do {
+                    var edge = paths.previous[current.getId()];
+                    cycle.unshift(edge);
+                    current = otherEnd(edge, current);
+                } while (current !== node);
+
+                paths.negativeCycle = cycle;
+            }
+
+            return paths;
+        },
+
+        /**
+         * Finds the shortest paths between all the nodes with the Floyd-Warshall algorithm,
+         * in time proportional to the cube of the number of nodes. It allows negative weights,
+         * but throws if there is a cycle whose weights add up to less than 0.
+         *
+         * @method floydWarshall
+         * @param {sg.Graph} graph
+         * @param {Object} [options]
+         *     @param {String|Function} [options.weight="weight"] the edges' option with
+         *                              the weight, or a function of (edge, from, to)
+         * @return {sg.algorithms.AllShortestPaths}
+         * @example
+         *     var paths = sg.algorithms.floydWarshall(graph);
+         *     console.log(paths.distances["a"]["b"], paths.diameter(), paths.center());
+         */
+        floydWarshall: function(graph, options) {
+            checkGraph(graph);
+            options = checkOptions(options);
+
+            var arcs = getArcs(graph, weight(options.weight));
+            var paths = new AllShortestPaths(graph);
+            var ids = graph.nodes.keys();
+            var d = paths.distances;
+            var next = paths.next;
+            var edges = paths._edges;
+
+            arcs.forEach(function(arc) {
+                var a = arc.from.getId();
+                var b = arc.to.getId();
+                if (arc.weight < d[a][b]) {
+                    d[a][b] = arc.weight;
+                    next[a][b] = b;
+                    edges[a][b] = arc.edge;
+                }
+            });
+
+            ids.forEach(function(k) {
+                var dk = d[k];
+                ids.forEach(function(a) {
+                    var da = d[a];
+                    if (da[k] === Infinity) {
+                        return;
+                    }
+
+                    for (var i = 0; i < ids.length; i++) {
+                        var b = ids[i];
+                        if (da[k] + dk[b] < da[b]) {
+                            da[b] = da[k] + dk[b];
+                            next[a][b] = next[a][k];
+                            edges[a][b] = edges[a][k];
+                        }
+                    }
+                });
+            });
+
+            ids.forEach(function(a) {
+                if (d[a][a] < 0) {
+                    throw "There is a negative cycle.";
+                }
+            });
+
+            return paths;
+        },
+
+        /**
+         * Finds the shortest paths between all the nodes with Johnson's algorithm, which is
+         * faster than Floyd-Warshall's for graphs with few edges. It allows negative weights,
+         * but throws if there is a cycle whose weights add up to less than 0.
+         *
+         * @method johnson
+         * @param {sg.Graph} graph
+         * @param {Object} [options]
+         *     @param {String|Function} [options.weight="weight"] the edges' option with
+         *                              the weight, or a function of (edge, from, to)
+         * @return {sg.algorithms.AllShortestPaths}
+         */
+        johnson: function(graph, options) {
+            checkGraph(graph);
+            options = checkOptions(options);
+
+            var weightOf = weight(options.weight);
+            var arcs = getArcs(graph, weightOf);
+            var paths = new AllShortestPaths(graph);
+            var ids = graph.nodes.keys();
+
+            // the distances from a node connected to all the others by edges of weight 0,
+            // found by Bellman-Ford
+            var h = {};
+            ids.forEach(function(id) {
+                h[id] = 0;
+            });
+
+            var changed = true;
+            for (var i = 0; i <= ids.length && changed; i++) {
+                changed = false;
+                for (var j = 0; j < arcs.length; j++) {
+                    var arc = arcs[j];
+                    if (h[arc.from.getId()] + arc.weight < h[arc.to.getId()]) {
+                        h[arc.to.getId()] = h[arc.from.getId()] + arc.weight;
+                        changed = true;
+                    }
+                }
+            }
+
+            if (changed) {
+                throw "There is a negative cycle.";
+            }
+
+            // with these weights, which are never negative, the shortest paths are the same
+            var reweighted = function(edge, from, to) {
+                return Math.max(0, weightOf(edge, from, to) + h[from.getId()] - h[to.getId()]);
+            };
+
+            ids.forEach(function(a) {
+                var tree = algorithms.dijkstra(graph, a, { weight: reweighted });
+                var next = paths.next[a];
+                var edges = paths._edges[a];
+
+                Object.keys(tree.distances).forEach(function(b) {
+                    paths.distances[a][b] = tree.distances[b] - h[a] + h[b];
+
+                    // the next node is found by going back from b, to a or to a node whose next is known
+                    var chain = [];
+                    var id = b;
+                    while (id !== a && next[id] === null) {
+                        chain.push(id);
+                        id = otherEnd(tree.previous[id], paths._nodes[id]).getId();
+                    }
+
+                    var first = id === a ? chain[chain.length - 1] : next[id];
+                    var edge = id === a ? tree.previous[first] : edges[id];
+                    chain.forEach(function(c) {
+                        next[c] = first;
+                        edges[c] = edge;
+                    });
+                });
+            });
+
+            return paths;
+        }
+    };
+
+    Object.keys(algorithms).forEach(function(name) {
+        window.sg.algorithms[name] = algorithms[name];
+    });
+
+    window.sg.algorithms.ShortestPaths = ShortestPaths;
+    window.sg.algorithms.AllShortestPaths = AllShortestPaths;
+}());
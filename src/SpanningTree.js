@@ -0,0 +1,263 @@
+(function () {
+    "use strict";
+
+    if (typeof sg === "undefined") {
+        throw "Module SimpleGraph (sg) is not yet loaded.";
+    }
+
+    if (typeof sg.algorithms.weight === "undefined") {
+        throw "Module sg.algorithms (src/ShortestPaths.js) is not yet loaded.";
+    }
+
+    function checkArguments(graph, options) {
+        if (!(graph instanceof sg.Graph)) {
+            throw "the graph param is not sg.Graph";
+        }
+
+        if (options && Object.prototype.toString.call(options) !== "[object Object]") {
+            throw "the options parameter should be an object.";
+        }
+
+        graph.edges.forEach(function(edge) {
+            if (edge.directed()) {
+                throw "The spanning trees are only found for undirected graphs.";
+            }
+        });
+
+        return options || {};
+    }
+
+    /**
+     * A minimum spanning forest: for each connected part of a graph,
+     * the lightest tree made of its edges which connects all its nodes
+     *
+     * @private
+     * @class SpanningTree
+     * @constructor
+     */
+    function SpanningTree() {
+        /**
+         * The edges of the trees, in the order they were chosen
+         *
+         * @property edges
+         * @type Array of sg.Edge
+         */
+        this.edges = [];
+
+        /**
+         * The sum of the weights of the edges
+         *
+         * @property weight
+         * @type Number
+         */
+        this.weight = 0;
+
+        /**
+         * A new undirected graph with the trees, if the *graph* option was true, or null.
+         * Its nodes share their options with the graph's nodes and its edges have the ids
+         * and a copy of the options of the chosen edges.
+         *
+         * @property graph
+         * @type sg.Graph
+         */
+        this.graph = null;
+    }
+
+    SpanningTree.prototype.add = function(edge, weight) {
+        this.edges.push(edge);
+        this.weight += weight;
+    };
+
+    SpanningTree.prototype.build = function(graph) {
+        var tree = new sg.Graph();
+        graph.nodes.forEach(function(id, node) {
+            tree.addNode(new sg.Node(id, node.options));
+        });
+
+        this.edges.forEach(function(edge) {
+            var options = {};
+            Object.keys(edge.options).forEach(function(key) {
+                options[key] = edge.options[key];
+            });
+
+            options.id = edge.getId();
+            tree.connect(edge.getSource().getId(), edge.getTarget().getId(), options);
+        });
+
+        this.graph = tree;
+    };
+
+    /**
+     * Keeps the sets of nodes which are connected, by their ids
+     *
+     * @private
+     * @class DisjointSets
+     * @constructor
+     */
+    function DisjointSets() {
+        this._parents = {};
+        this._ranks = {};
+    }
+
+    DisjointSets.prototype.find = function(id) {
+        if (!this._parents.hasOwnProperty(id)) {
+            this._parents[id] = id;
+            this._ranks[id] = 0;
+        }
+
+        var root = id;
+        while (this._parents[root] !== root) {
+            root = this._parents[root];
+        }
+
+        while (this._parents[id] !== root) {
+            var parent = this._parents[id];
+            this._parents[id] = root;
+            id = parent;
+        }
+
+        return root;
+    };
+
+    // Joins the sets of a and b, and tells if they were different
+    DisjointSets.prototype.union = function(a, b) {
+        a = this.find(a);
+        b = this.find(b);
+        if (a === b) {
+            return false;
+        }
+
+        if (this._ranks[a] < this._ranks[b]) {
+            this._parents[a] = b;
+        } else if (this._ranks[a] > this._ranks[b]) {
+            this._parents[b] = a;
+        } else {
+            this._parents[b] = a;
+            this._ranks[a]++;
+        }
+
+        return true;
+    };
+
+    /*
+     * Minimum spanning trees of undirected graphs. The weights are read with
+     * sg.algorithms.weight, like the shortest paths' weights. Selfloops
+     * are never chosen and of parallel edges only the lightest can be. If the graph isn't
+     * connected, the result is a forest with a tree for each connected part.
+     *
+     * Both return the result with the chosen *edges*, their total *weight*, and with the
+     * option *graph: true* a new sg.Graph of the trees as *graph*.
+     */
+    var algorithms = {
+        /**
+         * Finds a minimum spanning forest with Kruskal's algorithm, which adds the edges
+         * from the lightest, unless they'd make a cycle
+         *
+         * @method kruskal
+         * @for sg.algorithms
+         * @param {sg.Graph} graph
+         * @param {Object} [options]
+         *     @param {String|Function} [options.weight="weight"] the edges' option with
+         *                              the weight, or a function of (edge, from, to)
+         *     @param {Boolean} [options.graph=false] makes a new graph of the trees
+         * @return {Object} the spanning forest
+         * @example
+         *     var forest = sg.algorithms.kruskal(graph, { weight: "km", graph: true });
+         *     console.log(forest.weight, "km of roads connect", forest.graph.nodes.size(), "cities");
+         */
+        kruskal: function(graph, options) {
+            options = checkArguments(graph, options);
+
+            var weightOf = sg.algorithms.weight(options.weight);
+            var result = new SpanningTree();
+            var sets = new DisjointSets();
+            var edges = [];
+
+            graph.edges.forEach(function(edge) {
+                if (edge.getSource() !== edge.getTarget()) {
+                    edges.push({
+                        edge: edge,
+                        weight: weightOf(edge, edge.getSource(), edge.getTarget()),
+                        index: edges.length
+                    });
+                }
+            });
+
+            edges.sort(function(a, b) {
+                return a.weight - b.weight || a.index - b.index;
+            });
+
+            edges.forEach(function(item) {
+                var edge = item.edge;
+                if (sets.union(edge.getSource().getId(), edge.getTarget().getId())) {
+                    result.add(edge, item.weight);
+                }
+            });
+
+            if (options.graph) {
+                result.build(graph);
+            }
+
+            return result;
+        },
+
+        /**
+         * Finds a minimum spanning forest with Prim's algorithm, which grows each tree from
+         * a node, adding the lightest edge to a node out of it
+         *
+         * @method prim
+         * @for sg.algorithms
+         * @param {sg.Graph} graph
+         * @param {Object} [options]
+         *     @param {String|Function} [options.weight="weight"] the edges' option with
+         *                              the weight, or a function of (edge, from, to)
+         *     @param {Boolean} [options.graph=false] makes a new graph of the trees
+         * @return {Object} the spanning forest
+         */
+        prim: function(graph, options) {
+            options = checkArguments(graph, options);
+
+            var weightOf = sg.algorithms.weight(options.weight);
+            var result = new SpanningTree();
+            var added = {};
+            var queue = new buckets.PriorityQueue(function(a, b) {
+                return b.weight - a.weight;
+            });
+
+            var add = function(node) {
+                added[node.getId()] = true;
+                node.outEdges().forEach(function(edge) {
+                    var to = edge.getSource() === node ? edge.getTarget() : edge.getSource();
+                    if (!added[to.getId()]) {
+                        queue.enqueue({ edge: edge, to: to, weight: weightOf(edge, node, to) });
+                    }
+                });
+            };
+
+            graph.nodes.forEach(function(id, root) {
+                if (added[id]) {
+                    return;
+                }
+
+                add(root);
+                while (!queue.isEmpty()) {
+                    var item = queue.dequeue();
+                    if (!added[item.to.getId()]) {
+                        result.add(item.edge, item.weight);
+                        add(item.to);
+                    }
+                }
+            });
+
+            if (options.graph) {
+                result.build(graph);
+            }
+
+            return result;
+        }
+    };
+
+    Object.keys(algorithms).forEach(function(name) {
+        window.sg.algorithms[name] = algorithms[name];
+    });
+}());
@@ -0,0 +1,319 @@
+(function () {
+    "use strict";
+
+    if (typeof sg === "undefined") {
+        throw "Module SimpleGraph (sg) is not yet loaded.";
+    }
+
+    var ORIENTATIONS = ["TB", "LR"];
+
+    // The tidy tree algorithm of Reingold and Tilford, in the linear time
+    // version of Buchheim, Junger and Leipert. The vertices are
+    // { node, parent, children, number } objects and the positions are
+    // in units of the distance between neighbouring subtrees.
+
+    function vertex(node, parent, number) {
+        var v = {
+            node: node,
+            parent: parent,
+            children: [],
+            number: number,
+            prelim: 0,
+            mod: 0,
+            shift: 0,
+            change: 0,
+            thread: null
+        };
+
+        v.ancestor = v;
+        return v;
+    }
+
+    function nextLeft(v) {
+        return v.children.length > 0 ? v.children[0] : v.thread;
+    }
+
+    function nextRight(v) {
+        return v.children.length > 0 ? v.children[v.children.length - 1] : v.thread;
+    }
+
+    function moveSubtree(wm, wp, shift) {
+        var subtrees = wp.number - wm.number;
+        wp.change -= shift / subtrees;
+        wp.shift  += shift;
+        wm.change += shift / subtrees;
+        wp.prelim += shift;
+        wp.mod    += shift;
+    }
+
+    function executeShifts(v) {
+        var shift = 0;
+        var change = 0;
+        for (var i = v.children.length - 1; i >= 0; i--) {
+            var w = v.children[i];
+            w.prelim += shift;
+            w.mod    += shift;
+            change   += w.change;
+            shift    += w.shift + change;
+        }
+    }
+
+    function apportion(v, defaultAncestor) {
+        if (v.number === 0) {
+            return defaultAncestor;
+        }
+
+        var siblings = v.parent.children;
+        var vip = v;
+        var vop = v;
+        var vim = siblings[v.number - 1];
+        var vom = siblings[0];
+        var sip = vip.mod;
+        var sop = vop.mod;
+        var sim = vim.mod;
+        var som = vom.mod;
+
+        while (nextRight(vim) && nextLeft(vip)) {
+            vim = nextRight(vim);
+            vip = nextLeft(vip);
+            vom = nextLeft(vom);
+            vop = nextRight(vop);
+            vop.ancestor = v;
+
+            var shift = (vim.prelim + sim) - (vip.prelim + sip) + 1;
+            if (shift > 0) {
+                var ancestor = vim.ancestor.parent === v.parent ? vim.ancestor : defaultAncestor;
+                moveSubtree(ancestor, v, shift);
+                sip += shift;
+                sop += shift;
+            }
+
+            sim += vim.mod;
+            sip += vip.mod;
+            som += vom.mod;
+            sop += vop.mod;
+        }
+
+        if (nextRight(vim) && !nextRight(vop)) {
+            vop.thread = nextRight(vim);
+            vop.mod += sim - sop;
+        }
+
+        if (nextLeft(vip) && !nextLeft(vom)) {
+            vom.thread = nextLeft(vip);
+            vom.mod += sip - som;
+            defaultAncestor = v;
+        }
+
+        return defaultAncestor;
+    }
+
+    function firstWalk(v) {
+        var left = v.number > 0 ? v.parent.children[v.number - 1] : null;
+
+        if (v.children.length === 0) {
+            v.prelim = left !== null ? left.prelim + 1 : 0;
+            return;
+        }
+
+        var defaultAncestor = v.children[0];
+        v.children.forEach(function(w) {
+            firstWalk(w);
+            defaultAncestor = apportion(w, defaultAncestor);
+        });
+
+        executeShifts(v);
+
+        var midpoint = (v.children[0].prelim + v.children[v.children.length - 1].prelim) / 2;
+        if (left !== null) {
+            v.prelim = left.prelim + 1;
+            v.mod = v.prelim - midpoint;
+        } else {
+            v.prelim = midpoint;
+        }
+    }
+
+    function secondWalk(v, m, depth, visit) {
+        visit(v, v.prelim + m, depth);
+        v.children.forEach(function(w) {
+            secondWalk(w, m + v.mod, depth + 1, visit);
+        });
+    }
+
+    /**
+     * Tidy tree layout for trees and forests. Children are placed under their
+     * parent without overlapping the neighbouring subtrees, and each tree of
+     * a forest is placed next to the previous one. The trees are read from
+     * the nodes' edges, breadth-first, so for graphs with cycles the layout
+     * is the one of their breadth-first spanning trees.
+     *
+     * @class sg.Layout.TreeLayout
+     * @constructor
+     * @param {Object} [options]
+     *     @param {Number} [options.width=500] width of the area to fit the nodes in
+     *     @param {Number} [options.height=500] height of the area to fit the nodes in
+     *     @param {Number} [options.margin=30] empty space left around the trees
+     *     @param {Number} [options.nodeSpacing=50] the desired distance between neighbouring nodes
+     *     @param {String} [options.orientation="TB"] "TB" for children under their parent,
+     *                                                "LR" for children right of it
+     *     @param {String} [options.root] the id of the root of the first tree.
+     *                                    The other roots are the nodes without incoming
+     *                                    directed edges, and then any node left.
+     */
+    function TreeLayout(options) {
+        if (options &&
+            Object.prototype.toString.call(options) !== "[object Object]") {
+            throw "the options parameter should be an object.";
+        }
+
+        options = options || {};
+
+        ["width", "height", "margin", "nodeSpacing"].forEach(function(name) {
+            if (options[name] !== undefined && typeof options[name] !== "number") {
+                throw name + " should be a number";
+            }
+        });
+
+        if (options.orientation !== undefined &&
+            ORIENTATIONS.indexOf(options.orientation) === -1) {
+            throw "orientation should be one of " + ORIENTATIONS.join(", ");
+        }
+
+        if (options.root !== undefined && typeof options.root !== "string") {
+            throw "root should be a string";
+        }
+
+        this.width       = options.width       || 500;
+        this.height      = options.height      || 500;
+        this.margin      = options.margin !== undefined ? options.margin : 30;
+        this.nodeSpacing = options.nodeSpacing || 50;
+        this.orientation = options.orientation || "TB";
+        this.root        = options.root;
+    }
+
+    TreeLayout.prototype = new sg.Layout.AbstractLayout();
+
+    /**
+     * Computes the layout and writes it in each node's *options.pos*
+     *
+     * @method run
+     * @param {sg.Graph} graph
+     * @return {sg.Layout.TreeLayout} reference to *this* layout for method chaining
+     * @chainable
+     */
+    TreeLayout.prototype.run = function(graph) {
+        if (!(graph instanceof sg.Graph)) {
+            throw "the graph param is not sg.Graph";
+        }
+
+        if (this.root !== undefined && graph.getNode(this.root) === undefined) {
+            throw "Node \"" + this.root + "\" isn't in the graph.";
+        }
+
+        var trees = this._buildTrees(graph);
+        var positions = [];
+        var offset = 0;
+        var maxDepth = 0;
+
+        trees.forEach(function(root) {
+            var min = Infinity;
+            var max = -Infinity;
+            var tree = [];
+
+            firstWalk(root);
+            secondWalk(root, 0, 0, function(v, x, depth) {
+                tree.push({ node: v.node, x: x, depth: depth });
+                min = Math.min(min, x);
+                max = Math.max(max, x);
+                maxDepth = Math.max(maxDepth, depth);
+            });
+
+            tree.forEach(function(p) {
+                p.x += offset - min;
+                positions.push(p);
+            });
+
+            offset += max - min + 1;
+        });
+
+        if (positions.length === 0) {
+            return this;
+        }
+
+        var horizontal = this.orientation === "LR";
+        var along  = (horizontal ? this.height : this.width)  - 2 * this.margin;
+        var across = (horizontal ? this.width  : this.height) - 2 * this.margin;
+
+        // fit the trees in the area, keeping the drawing centered
+        var size = (offset - 1) * this.nodeSpacing;
+        var spacing = size > along ? along / (offset - 1) : this.nodeSpacing;
+        var shift = this.margin + (along - (offset - 1) * spacing) / 2;
+        var depthSpacing = maxDepth > 0 ? across / maxDepth : 0;
+        var depthShift = this.margin + (maxDepth > 0 ? 0 : across / 2);
+
+        positions.forEach(function(p) {
+            var a = shift + p.x * spacing;
+            var b = depthShift + p.depth * depthSpacing;
+
+            p.node.options.pos = horizontal ? { x: b, y: a } : { x: a, y: b };
+        });
+
+        return this;
+    };
+
+    TreeLayout.prototype._buildTrees = function(graph) {
+        var nodes = graph.nodes.values();
+
+        // directed edges are stored only in their source node
+        var hasParent = {};
+        nodes.forEach(function(node) {
+            node.getEdges().forEach(function(connection) {
+                if (connection.edge.directed() && connection.node !== node) {
+                    hasParent[connection.node._id] = true;
+                }
+            });
+        });
+
+        var roots = nodes.filter(function(node) {
+            return !hasParent[node._id];
+        }).concat(nodes);
+
+        if (this.root !== undefined) {
+            roots.unshift(graph.getNode(this.root));
+        }
+
+        var visited = {};
+        var trees = [];
+
+        roots.forEach(function(node) {
+            if (visited[node._id]) {
+                return;
+            }
+
+            var root = vertex(node, null, 0);
+            var queue = [root];
+            visited[node._id] = true;
+
+            for (var i = 0; i < queue.length; i++) {
+                var v = queue[i];
+                var connections = v.node.getEdges();
+
+                for (var j = 0; j < connections.length; j++) {
+                    var next = connections[j].node;
+                    if (!visited[next._id]) {
+                        visited[next._id] = true;
+                        var child = vertex(next, v, v.children.length);
+                        v.children.push(child);
+                        queue.push(child);
+                    }
+                }
+            }
+
+            trees.push(root);
+        });
+
+        return trees;
+    };
+
+    window.sg.Layout.TreeLayout = TreeLayout;
+}());
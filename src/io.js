@@ -0,0 +1,216 @@
+(function () {
+    "use strict";
+
+    if (typeof sg === "undefined") {
+        throw "Module SimpleGraph (sg) is not yet loaded.";
+    }
+
+    var formats = {};
+
+    function format(name) {
+        if (typeof name !== "string") {
+            throw "format should be a string.";
+        }
+
+        var f = formats[name.toLowerCase()];
+        if (f === undefined) {
+            throw "Unknown format: " + name;
+        }
+
+        return f;
+    }
+
+    /**
+     * Reading and writing graphs in other formats. Each format is an object with
+     * *read(text, [options])*, returning a sg.Graph, and *write(graph, [options])*,
+     * returning the text. The formats in *src/* register themselves when loaded,
+     * after this module.
+     *
+     * @class sg.io
+     * @static
+     */
+    var io = {
+        /**
+         * Adds a format, or replaces the one with the same name
+         *
+         * @method register
+         * @param {String} name the name of the format, which isn't case sensitive
+         * @param {Object} f an object with the *read* and *write* methods
+         * @example
+         *     sg.io.register("ids", {
+         *         read: function(text) {
+         *             var graph = new sg.Graph();
+         *             text.split("\n").forEach(function(id) { graph.addNode(id); });
+         *             return graph;
+         *         },
+         *         write: function(graph) {
+         *             return graph.nodes.keys().join("\n");
+         *         }
+         *     });
+         */
+        register: function(name, f) {
+            if (typeof name !== "string" || name === "") {
+                throw "name should be a non-empty string.";
+            }
+
+            if (f === null || typeof f !== "object" ||
+                typeof f.read !== "function" || typeof f.write !== "function") {
+                throw "the format should have the read and write methods.";
+            }
+
+            formats[name.toLowerCase()] = f;
+        },
+
+        /**
+         * @method formats
+         * @return {Array of String} the names of the registered formats
+         */
+        formats: function() {
+            return Object.keys(formats);
+        },
+
+        /**
+         * Makes a graph from a text in the given format
+         *
+         * @method read
+         * @param {String} format the format's name, e.g. "graphml"
+         * @param {String} text
+         * @param {Object} [options] the format's options
+         * @return {sg.Graph}
+         */
+        read: function(name, text, options) {
+            return format(name).read(text, options);
+        },
+
+        /**
+         * Writes a graph in the given format
+         *
+         * @method write
+         * @param {String} format the format's name, e.g. "graphml"
+         * @param {sg.Graph} graph
+         * @param {Object} [options] the format's options
+         * @return {String}
+         */
+        write: function(name, graph, options) {
+            return format(name).write(graph, options);
+        },
+
+        /**
+         * Makes a graph from the nodes and the edges read by a format. Its direction is
+         * the one of the edges (mixed if some are directed and some aren't, or given by
+         * *directed* if there are no edges) and it's a multigraph, or allows selfloops,
+         * only if there are parallel edges, or selfloops.
+         *
+         * @method build
+         * @param {Object} description
+         *     @param {Object} [description.options] the graph's options
+         *     @param {Array} description.nodes { id, options } for each node
+         *     @param {Array} description.edges { id, source, target, directed, options } for each edge.
+         *                                       The id is optional, *options.id* is used without it.
+         *     @param {Boolean} [description.directed=false] the direction of a graph without edges
+         *     @param {Boolean} [description.multigraph] if set, used instead of the edges' one
+         * @param {Function} invalid makes the error thrown for a bad node or edge from its message,
+         *                          which has no period at the end
+         * @return {sg.Graph}
+         */
+        build: function(description, invalid) {
+            var nodes = {};
+            description.nodes.forEach(function(node) {
+                if (typeof node.id !== "string" || node.id === "") {
+                    throw invalid("a node has no id");
+                }
+
+                if (nodes[node.id] !== undefined) {
+                    throw invalid("duplicate node id \"" + node.id + "\"");
+                }
+
+                nodes[node.id] = node;
+            });
+
+            var multigraph = false;
+            var selfloops = false;
+            var directedCount = 0;
+            var seen = {};
+            var ids = {};
+
+            description.edges.forEach(function(edge) {
+                var given = edge.id !== undefined ? edge.id : (edge.options || {}).id;
+                edge.id = given !== undefined && given !== "" ? String(given) : undefined;
+                if (edge.id !== undefined) {
+                    if (ids[edge.id] !== undefined) {
+                        throw invalid("duplicate edge id \"" + edge.id + "\"");
+                    }
+
+                    ids[edge.id] = true;
+                }
+
+                [edge.source, edge.target].forEach(function(id) {
+                    if (nodes[id] === undefined) {
+                        throw invalid("an edge refers to the unknown node \"" + id + "\"");
+                    }
+                });
+
+                // the same as the check of sg.Graph.connect: an edge from the source
+                // to the target, or an undirected edge from the target to the source
+                var pair = edge.source + "\u0000" + edge.target;
+                var reverse = edge.target + "\u0000" + edge.source;
+                if (seen[pair] !== undefined ||
+                    (edge.source !== edge.target && seen[reverse] === false)) {
+                    multigraph = true;
+                }
+
+                // whether all the edges from the source to the target are directed
+                seen[pair] = seen[pair] !== false && edge.directed === true;
+                selfloops = selfloops || edge.source === edge.target;
+                directedCount += edge.directed ? 1 : 0;
+            });
+
+            var edges = description.edges;
+            var options = description.options || {};
+            options.direction = edges.length === 0 ?
+                (description.directed ? sg.DIRECTION.DIRECTED : sg.DIRECTION.UNDIRECTED) :
+                directedCount === edges.length ? sg.DIRECTION.DIRECTED :
+                directedCount === 0 ? sg.DIRECTION.UNDIRECTED : sg.DIRECTION.MIXED;
+            options.multigraph = description.multigraph === true || multigraph;
+            options.selfloops  = selfloops;
+
+            // the ids given to the edges without one can't be the ids of later edges
+            var nextId = 0;
+            var freeId = function() {
+                while (ids.hasOwnProperty("e" + nextId)) {
+                    nextId++;
+                }
+
+                return "e" + nextId++;
+            };
+
+            var graph = new sg.Graph(options);
+            graph.batch(function() {
+                description.nodes.forEach(function(node) {
+                    graph.addNode(new sg.Node(node.id, node.options || {}));
+                });
+
+                edges.forEach(function(edge) {
+                    var o = edge.options || {};
+                    o.directed = edge.directed === true;
+                    o.id = edge.id !== undefined ? edge.id : freeId();
+                    graph.connect(edge.source, edge.target, o);
+                });
+            });
+
+            return graph;
+        }
+    };
+
+    io.register("json", {
+        read: function(text) {
+            return sg.Graph.fromJSON(text);
+        },
+
+        write: function(graph) {
+            return JSON.stringify(graph);
+        }
+    });
+
+    window.sg.io = io;
+}());
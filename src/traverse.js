@@ -0,0 +1,336 @@
+(function () {
+    "use strict";
+
+    if (typeof sg === "undefined") {
+        throw "Module SimpleGraph (sg) is not yet loaded.";
+    }
+
+    // The end of the edge other than node; an undirected selfloop leads back to node
+    function otherEnd(edge, node) {
+        return edge.getSource() === node ? edge.getTarget() : edge.getSource();
+    }
+
+    function checkArguments(graph, start, visitor, options) {
+        if (!(graph instanceof sg.Graph)) {
+            throw "the graph param is not sg.Graph";
+        }
+
+        if (start !== undefined && start !== null) {
+            var id = start instanceof sg.Node ? start.getId() : start;
+            if (graph.getNode(id) === undefined ||
+                (start instanceof sg.Node && graph.getNode(id) !== start)) {
+                throw "The start node is not in this graph.";
+            }
+        }
+
+        if (typeof visitor === "function") {
+            visitor = { enter: visitor };
+        }
+
+        if (visitor !== undefined && visitor !== null && typeof visitor !== "object") {
+            throw "the visitor should be a function or an object.";
+        }
+
+        if (options && Object.prototype.toString.call(options) !== "[object Object]") {
+            throw "the options parameter should be an object.";
+        }
+
+        options = options || {};
+        if (options.maxDepth !== undefined &&
+            (typeof options.maxDepth !== "number" || options.maxDepth < 0)) {
+            throw "maxDepth should be a non-negative number";
+        }
+
+        return {
+            roots: start !== undefined && start !== null ?
+                   [graph.getNode(start instanceof sg.Node ? start.getId() : start)] :
+                   graph.nodes.values(),
+            visitor: visitor || {},
+            maxDepth: options.maxDepth !== undefined ? options.maxDepth : Infinity
+        };
+    }
+
+    // Calls a callback of the visitor, if it has it, and tells whether to go on
+    function call(visitor, name, args) {
+        return typeof visitor[name] !== "function" || visitor[name].apply(visitor, args) !== false;
+    }
+
+    /**
+     * The state of a traversal, which is its result in the end
+     *
+     * @private
+     * @class Traversal
+     * @constructor
+     */
+    function Traversal() {
+        /**
+         * The visited nodes, in the order they were entered
+         *
+         * @property nodes
+         * @type Array of sg.Node
+         */
+        this.nodes = [];
+
+        /**
+         * The id of each visited node's parent in the traversal's tree, null for the roots
+         *
+         * @property parents
+         * @type Object of String->String
+         */
+        this.parents = {};
+
+        /**
+         * The depth of each visited node, 0 for the roots
+         *
+         * @property depths
+         * @type Object of String->Number
+         */
+        this.depths = {};
+
+        /**
+         * The type of each edge followed: "tree", "back", "forward" or "cross", by the edges' ids
+         *
+         * @property edges
+         * @type Object of String->String
+         */
+        this.edges = {};
+
+        /**
+         * True if a callback of the visitor returned false
+         *
+         * @property stopped
+         * @type Boolean
+         */
+        this.stopped = false;
+    }
+
+    Traversal.prototype.visited = function(node) {
+        return this.depths.hasOwnProperty(node.getId());
+    };
+
+    Traversal.prototype.visit = function(node, parent, depth) {
+        this.nodes.push(node);
+        this.parents[node.getId()] = parent !== null ? parent.getId() : null;
+        this.depths[node.getId()] = depth;
+    };
+
+    // Whether ancestor is node or one of its ancestors in the traversal's tree
+    Traversal.prototype.isAncestor = function(ancestor, node) {
+        var id = node.getId();
+        var target = ancestor.getId();
+        while (id !== null && this.depths[id] >= this.depths[target]) {
+            if (id === target) {
+                return true;
+            }
+
+            id = this.parents[id];
+        }
+
+        return false;
+    };
+
+    /**
+     * Traversals of the graphs, which follow the edges in their direction: a directed edge only
+     * from its source to its target, an undirected one both ways.
+     *
+     * The visitor is a function, called for each node entered, or an object with any of these
+     * callbacks. If one of them returns false, the traversal stops.
+     *
+     * - *enter(node, depth, edge)*, when the node is visited, with the edge it was reached by
+     *   (null for the first node)
+     * - *leave(node, depth)*, when all the edges of the node are followed (post-order)
+     * - *edge(edge, from, to, type)*, for each edge followed, with its type: *"tree"* if it leads
+     *   to a new node, *"back"* if it leads to one of the ancestors of *from* in the traversal's
+     *   tree (or *from* itself), *"forward"* to one of its descendants, or *"cross"* otherwise.
+     *   An undirected edge is followed once.
+     *
+     * Both return the traversal's result, with the visited *nodes* in the order they were entered,
+     * the *parents* and the *depths* of the nodes and the type of each followed edge in *edges*
+     * (by their ids and their types), and *stopped*, true if the visitor stopped it.
+     *
+     * @class sg.traverse
+     * @static
+     */
+    var traverse = {
+        /**
+         * Visits the nodes in breadth-first order. The nodes are left when all their edges
+         * are followed, in the order they were entered. There are no forward edges.
+         *
+         * @method bfs
+         * @param {sg.Graph} graph
+         * @param {sg.Node|String} [start] the first node (or its id). If it's null or not passed,
+         *                                 all the nodes are visited, in the graph's order.
+         * @param {Function|Object} [visitor]
+         * @param {Object} [options]
+         *     @param {Number} [options.maxDepth] the edges of the nodes at this depth
+         *                                        aren't followed
+         * @return {Object} the traversal's result
+         * @example
+         *     // the nodes at most 2 edges from "a", nearest first
+         *     var ids = sg.traverse.bfs(graph, "a", null, { maxDepth: 2 }).nodes.map(function(node) {
+         *         return node.getId();
+         *     });
+         */
+        bfs: function(graph, start, visitor, options) {
+            var args = checkArguments(graph, start, visitor, options);
+            var result = new Traversal();
+            visitor = args.visitor;
+
+            var search = function(root) {
+                var queue = [root];
+                result.visit(root, null, 0);
+                if (!call(visitor, "enter", [root, 0, null])) {
+                    return false;
+                }
+
+                for (var i = 0; i < queue.length; i++) {
+                    var node = queue[i];
+                    var depth = result.depths[node.getId()];
+                    var edges = depth < args.maxDepth ? node.outEdges() : [];
+
+                    for (var j = 0; j < edges.length; j++) {
+                        var edge = edges[j];
+                        var to = otherEnd(edge, node);
+                        var type;
+
+                        if (result.edges.hasOwnProperty(edge.getId())) {
+                            continue;
+                        }
+
+                        if (!result.visited(to)) {
+                            type = "tree";
+                            result.visit(to, node, depth + 1);
+                        } else {
+                            type = result.isAncestor(to, node) ? "back" : "cross";
+                        }
+
+                        result.edges[edge.getId()] = type;
+                        if (!call(visitor, "edge", [edge, node, to, type])) {
+                            return false;
+                        }
+
+                        if (type === "tree") {
+                            queue.push(to);
+                            if (!call(visitor, "enter", [to, depth + 1, edge])) {
+                                return false;
+                            }
+                        }
+                    }
+
+                    if (!call(visitor, "leave", [node, depth])) {
+                        return false;
+                    }
+                }
+
+                return true;
+            };
+
+            result.stopped = !args.roots.every(function(root) {
+                return result.visited(root) || search(root);
+            });
+
+            return result;
+        },
+
+        /**
+         * Visits the nodes in depth-first order. With a *maxDepth*, a node is visited
+         * only by the first path found to it.
+         *
+         * @method dfs
+         * @param {sg.Graph} graph
+         * @param {sg.Node|String} [start] the first node (or its id). If it's null or not passed,
+         *                                 all the nodes are visited, in the graph's order.
+         * @param {Function|Object} [visitor]
+         * @param {Object} [options]
+         *     @param {Number} [options.maxDepth] the edges of the nodes at this depth
+         *                                        aren't followed
+         * @return {Object} the traversal's result
+         * @example
+         *     // checks if a directed graph has a cycle
+         *     var cyclic = sg.traverse.dfs(graph, null, {
+         *         edge: function(edge, from, to, type) {
+         *             return type !== "back"; // stops at the first cycle
+         *         }
+         *     }).stopped;
+         */
+        dfs: function(graph, start, visitor, options) {
+            var args = checkArguments(graph, start, visitor, options);
+            var result = new Traversal();
+            var finished = {};
+            var entered = {};
+            var time = 0;
+            visitor = args.visitor;
+
+            // not recursive, so that long paths don't overflow the call stack
+            var search = function(root) {
+                var stack = [];
+                var enter = function(node, parent, depth, edge) {
+                    result.visit(node, parent, depth);
+                    entered[node.getId()] = time++;
+                    stack.push({
+                        node: node,
+                        depth: depth,
+                        edges: depth < args.maxDepth ? node.outEdges() : [],
+                        index: 0
+                    });
+
+                    return call(visitor, "enter", [node, depth, edge]);
+                };
+
+                if (!enter(root, null, 0, null)) {
+                    return false;
+                }
+
+                while (stack.length > 0) {
+                    var top = stack[stack.length - 1];
+                    var node = top.node;
+
+                    if (top.index === top.edges.length) {
+                        stack.pop();
+                        finished[node.getId()] = true;
+                        if (!call(visitor, "leave", [node, top.depth])) {
+                            return false;
+                        }
+
+                        continue;
+                    }
+
+                    var edge = top.edges[top.index++];
+                    var to = otherEnd(edge, node);
+                    var type;
+
+                    if (result.edges.hasOwnProperty(edge.getId())) {
+                        continue;
+                    }
+
+                    if (!result.visited(to)) {
+                        type = "tree";
+                    } else if (!finished[to.getId()]) {
+                        type = "back";
+                    } else {
+                        type = entered[node.getId()] < entered[to.getId()] ? "forward" : "cross";
+                    }
+
+                    result.edges[edge.getId()] = type;
+                    if (!call(visitor, "edge", [edge, node, to, type])) {
+                        return false;
+                    }
+
+                    if (type === "tree" && !enter(to, node, top.depth + 1, edge)) {
+                        return false;
+                    }
+                }
+
+                return true;
+            };
+
+            result.stopped = !args.roots.every(function(root) {
+                return result.visited(root) || search(root);
+            });
+
+            return result;
+        }
+    };
+
+    window.sg.traverse = traverse;
+}());